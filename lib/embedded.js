@@ -0,0 +1,194 @@
+/**
+ * Constructors of embedded objects
+ * @module embedded
+ * @requires node.extend
+ */
+
+var extend = require('node.extend');
+
+/**
+ * Parse a path like 'comments[].author' into segments
+ * @private
+ * @param {string} path
+ * @returns {[object]} `{ key, many }` objects. `many` is true for arrays.
+ */
+function parsePath(path) {
+	return path.split('.').map(function(segment) {
+		return {
+			key: segment.replace(/\[\]$/, ''),
+			many: /\[\]$/.test(segment)
+		};
+	});
+}
+
+function isPlainObject(value) {
+	var proto;
+
+	if (value === null || typeof value !== 'object') return false;
+
+	proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Call `fn` with every location matching the segments of a path
+ * @private
+ * @param {object} data
+ * @param {[object]} segments
+ * @param {string} prefix path of `data`, used in validation failures
+ * @param {function(parent, key, path)} fn
+ */
+function visit(data, segments, prefix, fn) {
+	var segment = segments[0];
+	var rest = segments.slice(1);
+	var value;
+
+	function step(parent, key, path) {
+		if (rest.length) {
+			visit(parent[key], rest, path + '.', fn);
+		} else if (parent[key] !== null && typeof parent[key] === 'object') {
+			fn(parent, key, path);
+		}
+	}
+
+	if (data === null || typeof data !== 'object') return;
+
+	value = data[segment.key];
+
+	if (!segment.many) {
+		step(data, segment.key, prefix + segment.key);
+	} else if (Array.isArray(value)) {
+		value.forEach(function(e, i) {
+			step(value, i, prefix + segment.key + '.' + i);
+		});
+	}
+}
+
+/**
+ * Create an embedded object. The fields are copied before the constructor
+ * is called, like in `Instance`.
+ * @private
+ * @param {function} constructor
+ * @param {object} data
+ * @returns {object}
+ */
+function construct(constructor, data) {
+	var object = Object.create(constructor.prototype);
+
+	extend(object, data);
+	constructor.call(object, data);
+
+	return object;
+}
+
+/**
+ * Constructors of the nested objects of documents, keyed by path. A path
+ * is a field name, or a dot separated path of nested fields. Array fields
+ * are marked with '[]', so 'comments[]' is every element of `comments`, and
+ * 'comments[].author' is the `author` of every comment.
+ * @class Embedded
+ * @constructor
+ * @param {object} definitions constructors keyed by path
+ */
+function Embedded(definitions) {
+	this._paths = Object.keys(definitions).map(function(path) {
+		if (typeof definitions[path] !== 'function') {
+			throw new Error('Invalid embedded constructor for ' + path);
+		}
+
+		return {
+			segments: parsePath(path),
+			constructor: definitions[path]
+		};
+	}).sort(function(a, b) {
+		// parents are created before their children
+		return a.segments.length - b.segments.length;
+	});
+}
+
+Embedded.prototype = {
+	/**
+	 * Parsed paths with their constructors, parents first
+	 * @field _paths
+	 * @type {[object]}
+	 * @private
+	 */
+	_paths: null,
+	/**
+	 * Replace the plain objects at the paths with embedded objects
+	 * @method hydrate
+	 * @param {object} data object to modify
+	 * @returns {object} `data`
+	 */
+	hydrate: function(data) {
+		this._paths.forEach(function(e) {
+			visit(data, e.segments, '', function(parent, key) {
+				if (isPlainObject(parent[key])) {
+					parent[key] = construct(e.constructor, parent[key]);
+				}
+			});
+		});
+
+		return data;
+	},
+	/**
+	 * Copy an object, turning the embedded objects into plain objects with
+	 * their functions and private fields (starting with '_') left out
+	 * @method serialize
+	 * @param {object} data
+	 * @returns {object}
+	 */
+	serialize: function(data) {
+		var constructors = this._paths.map(function(e) {
+			return e.constructor;
+		});
+
+		function plain(value) {
+			var embedded = constructors.some(function(constructor) {
+				return value instanceof constructor;
+			});
+			var copy;
+
+			if (Array.isArray(value)) {
+				return value.map(plain);
+			} else if (!embedded && !isPlainObject(value)) {
+				return value;
+			}
+
+			copy = {};
+			for (var k in value) {
+				if (typeof value[k] !== 'function' &&
+					!(embedded && k[0] === '_')) {
+					copy[k] = plain(value[k]);
+				}
+			}
+
+			return copy;
+		}
+
+		return plain(data);
+	},
+	/**
+	 * Call `fn` with every embedded object. Plain objects at the paths (like
+	 * the ones assigned after loading) are passed as embedded objects, but
+	 * they are not replaced.
+	 * @method each
+	 * @param {object} data
+	 * @param {function(object, path)} fn path is like 'comments.2'
+	 */
+	each: function(data, fn) {
+		this._paths.forEach(function(e) {
+			visit(data, e.segments, '', function(parent, key, path) {
+				var value = parent[key];
+
+				if (!(value instanceof e.constructor) && isPlainObject(value)) {
+					value = construct(e.constructor, value);
+				}
+
+				if (value instanceof e.constructor) fn(value, path);
+			});
+		});
+	}
+};
+
+module.exports = Embedded;
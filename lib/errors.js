@@ -0,0 +1,83 @@
+/**
+ * Error types used by couchdb-model
+ * @module errors
+ */
+
+/**
+ * Error passed to callbacks (or used to reject promises) when a document
+ * does not pass validation. It's never sent to the database.
+ * @class ValidationError
+ * @constructor
+ * @param {[object]} errors list of failures
+ * @param {string} errors[].field path of the invalid field, like
+ * 'author.email' or 'tags.2'. It's null for document-level failures.
+ * @param {string} errors[].message human readable description
+ * @param {string} errors[].code machine readable reason, like 'required'
+ * or 'type'
+ */
+function ValidationError(errors) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, ValidationError);
+	}
+
+	this.name = 'ValidationError';
+	this.errors = errors || [];
+	this.message = 'Validation failed: ' + this.errors.map(function(e) {
+		return e.field ? e.field + ' ' + e.message : e.message;
+	}).join(', ');
+}
+
+ValidationError.prototype = Object.create(Error.prototype);
+ValidationError.prototype.constructor = ValidationError;
+
+/**
+ * Error given when a document of another type is loaded by a typed model.
+ * It has a `status_code` of 404, like nano's errors for missing documents.
+ * @class TypeMismatchError
+ * @constructor
+ * @param {string} id ID of the document
+ * @param {string} expected type of the model
+ * @param {string} actual type of the document
+ */
+function TypeMismatchError(id, expected, actual) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, TypeMismatchError);
+	}
+
+	this.name = 'TypeMismatchError';
+	this.message = 'Document ' + id + ' has type ' + actual +
+		', expected ' + expected;
+	this.status_code = 404;
+	this.expected = expected;
+	this.actual = actual;
+}
+
+TypeMismatchError.prototype = Object.create(Error.prototype);
+TypeMismatchError.prototype.constructor = TypeMismatchError;
+
+/**
+ * Error given when a database can't be reached or doesn't exist.
+ * @class ConnectionError
+ * @constructor
+ * @param {string} message
+ * @param {Error} [cause] the original error
+ */
+function ConnectionError(message, cause) {
+	Error.call(this);
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, ConnectionError);
+	}
+
+	this.name = 'ConnectionError';
+	this.message = message;
+	this.cause = cause || null;
+}
+
+ConnectionError.prototype = Object.create(Error.prototype);
+ConnectionError.prototype.constructor = ConnectionError;
+
+module.exports.ValidationError = ValidationError;
+module.exports.TypeMismatchError = TypeMismatchError;
+module.exports.ConnectionError = ConnectionError;
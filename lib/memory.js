@@ -0,0 +1,1727 @@
+/**
+ * In-memory database with the subset of nano's database handle API used by
+ * couchdb-model
+ * @module memory
+ * @requires node-uuid
+ */
+
+var crypto = require('crypto');
+var Buffer = require('buffer').Buffer;
+var PassThrough = require('stream').PassThrough;
+var uuid = require('node-uuid');
+
+/**
+ * Number of the databases created without a name
+ * @private
+ */
+var unnamed = 0;
+
+/**
+ * Default number of documents returned by `find`, like in CouchDB
+ * @private
+ */
+var FIND_LIMIT = 25;
+
+/**
+ * Database which keeps the documents in memory, and behaves like a nano
+ * database handle: the methods take the same arguments, they give the same
+ * responses, and the errors have the `status_code`, `error` and `reason`
+ * given by CouchDB. Pass it to couchDBModel instead of a nano handle to run
+ * without CouchDB (e.g. in unit tests).
+ *
+ * Every revision is kept (like in a database which is never compacted).
+ * Revisions written with `new_edits: false` can conflict: the winning
+ * revision is chosen like in CouchDB, and the others are given in
+ * `_conflicts`. Views are computed from the map and reduce
+ * functions of the design documents when they are queried. Mango indexes
+ * are only recorded, `find` goes through every document.
+ * @class MemoryDatabase
+ * @constructor
+ * @param {string} [name] database name, used in `config.db`
+ */
+function MemoryDatabase(name) {
+	this.config = { url: 'memory://', db: name || 'memory-' + (++unnamed) };
+	this._docs = {};
+	this._seq = 0;
+	this._waiting = [];
+	this._indexes = [];
+	this._functions = {};
+
+	this.attachment = {
+		insert: this._insertAttachment.bind(this),
+		get: this._getAttachment.bind(this),
+		destroy: this._destroyAttachment.bind(this)
+	};
+}
+
+MemoryDatabase.prototype = {
+	/**
+	 * `{ url, db }`, like the config of nano database handles
+	 * @field config
+	 * @type {object}
+	 */
+	config: null,
+	/**
+	 * Attachment methods (`insert`, `get` and `destroy`), like the ones of
+	 * nano database handles
+	 * @field attachment
+	 * @type {object}
+	 */
+	attachment: null,
+	/**
+	 * Documents as `{ id, seq, revs }` objects keyed by ID. `revs` are
+	 * `{ rev, parent, data, deleted }` objects, the winning revision first.
+	 * `parent` is the revision it was written on, `data` is the content
+	 * without `_id` and `_rev`, and attachments with their data.
+	 * @field _docs
+	 * @type {object}
+	 * @private
+	 */
+	_docs: null,
+	/**
+	 * Last update sequence
+	 * @field _seq
+	 * @type {number}
+	 * @private
+	 */
+	_seq: 0,
+	/**
+	 * Pending long polling _changes requests
+	 * @field _waiting
+	 * @type {[object]}
+	 * @private
+	 */
+	_waiting: null,
+	/**
+	 * Mango index definitions as `{ ddoc, name, index }` objects
+	 * @field _indexes
+	 * @type {[object]}
+	 * @private
+	 */
+	_indexes: null,
+	/**
+	 * Compiled design document functions keyed by source
+	 * @field _functions
+	 * @type {object}
+	 * @private
+	 */
+	_functions: null,
+	/**
+	 * Run an operation, and give its result to the callback asynchronously,
+	 * like a request does. Errors with a `status_code` are given to the
+	 * callback, other errors are thrown.
+	 * @method _respond
+	 * @private
+	 * @param {function(error, body, headers)} [callback]
+	 * @param {function} operation called with the database as `this`,
+	 * returns the response body
+	 * @returns {object} request-like object with an `abort` method
+	 */
+	_respond: function(callback, operation) {
+		var error = null;
+		var aborted = false;
+		var body;
+
+		try {
+			body = operation.call(this);
+		} catch (e) {
+			if (!e.status_code) throw e;
+			error = e;
+		}
+
+		process.nextTick(function() {
+			if (aborted || !callback) return;
+
+			if (error) callback(error);
+			else callback(null, body, {});
+		});
+
+		return {
+			abort: function() {
+				aborted = true;
+			}
+		};
+	},
+	/**
+	 * Insert or update a document
+	 * @method insert
+	 * @param {object} doc
+	 * @param {object|string} [params] the ID of the document, or query
+	 * string parameters with the ID in `doc_name`
+	 * @param {function(error, body)} [callback] body is `{ ok, id, rev }`
+	 * @returns {object} request-like object
+	 */
+	insert: function(doc, params, callback) {
+		var data = {};
+
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		if (typeof params === 'string') {
+			params = { doc_name: params };
+		}
+
+		for (var k in doc) {
+			data[k] = doc[k];
+		}
+
+		if (params && params.doc_name) {
+			data._id = params.doc_name;
+		}
+
+		return this._respond(callback, function() {
+			return this._write(data);
+		});
+	},
+	/**
+	 * Get a document, or query a view if the path of a view is given
+	 * @method get
+	 * @param {string} docName document ID, or a view path like
+	 * '_design/articles/_view/by_date'
+	 * @param {object} [params] `rev`, `revs`, `revs_info`, `conflicts` and
+	 * `attachments` for documents, see {#view} for views
+	 * @param {function(error, body)} [callback]
+	 * @returns {object} request-like object
+	 */
+	get: function(docName, params, callback) {
+		var view = /^_design\/([^\/]+)\/_view\/([^\/]+)$/.exec(docName);
+
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		if (view) {
+			return this.view(view[1], view[2], params, callback);
+		}
+
+		return this._respond(callback, function() {
+			var found = this._read(docName, params && params.rev);
+
+			return this._body(found.entry, found.revision, params || {});
+		});
+	},
+	/**
+	 * Check if a document exists
+	 * @method head
+	 * @param {string} docName
+	 * @param {function(error, body, headers)} [callback] error has a
+	 * `status_code` of 404 if the document does not exist. headers has the
+	 * `etag` of the latest revision.
+	 * @returns {object} request-like object
+	 */
+	head: function(docName, callback) {
+		var found;
+
+		try {
+			found = this._read(docName);
+		} catch (e) {
+			return this._respond(callback, function() {
+				throw e;
+			});
+		}
+
+		process.nextTick(function() {
+			if (callback) {
+				callback(null, {}, { etag: '"' + found.revision.rev + '"' });
+			}
+		});
+
+		return { abort: function() {} };
+	},
+	/**
+	 * Delete a document
+	 * @method destroy
+	 * @param {string} docName
+	 * @param {string} rev the latest revision
+	 * @param {function(error, body)} [callback] body is `{ ok, id, rev }`
+	 * @returns {object} request-like object
+	 */
+	destroy: function(docName, rev, callback) {
+		return this._respond(callback, function() {
+			this._read(docName);
+			return this._write({ _id: docName, _rev: rev, _deleted: true });
+		});
+	},
+	/**
+	 * List the documents (`_all_docs`)
+	 * @method list
+	 * @param {object} [params] `include_docs`, `keys`, `startkey`, `endkey`,
+	 * `inclusive_end`, `descending`, `limit` and `skip`
+	 * @param {function(error, body)} [callback] body is
+	 * `{ total_rows, offset, rows }`
+	 * @returns {object} request-like object
+	 */
+	list: function(params, callback) {
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		return this._respond(callback, function() {
+			return this._allDocs(params || {});
+		});
+	},
+	/**
+	 * Get many documents by ID (`_all_docs` with `keys` and `include_docs`)
+	 * @method fetch
+	 * @param {object} docNames `{ keys }`
+	 * @param {object} [params] see {#list}
+	 * @param {function(error, body)} [callback] see {#list}. IDs of missing
+	 * documents have a row with an `error`.
+	 * @returns {object} request-like object
+	 */
+	fetch: function(docNames, params, callback) {
+		var query = { include_docs: true, keys: docNames.keys };
+
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		for (var k in params) {
+			if (k !== 'include_docs') query[k] = params[k];
+		}
+
+		return this._respond(callback, function() {
+			return this._allDocs(query);
+		});
+	},
+	/**
+	 * Write many documents (`_bulk_docs`). Each document is written or
+	 * rejected on its own, `all_or_nothing` is ignored like in CouchDB 2.
+	 * @method bulk
+	 * @param {object} docs `{ docs, new_edits }`. With `new_edits` set to
+	 * false, the revisions are written as they are, without checking
+	 * conflicts, and they are kept as conflicting revisions of their
+	 * documents.
+	 * @param {object} [params]
+	 * @param {function(error, rows)} [callback] rows are `{ ok, id, rev }`
+	 * objects, or `{ id, error, reason }` for rejected documents
+	 * @returns {object} request-like object
+	 */
+	bulk: function(docs, params, callback) {
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		return this._respond(callback, function() {
+			return docs.docs.map(function(doc) {
+				try {
+					return this._write(doc, docs.new_edits === false);
+				} catch (e) {
+					if (!e.status_code) throw e;
+					return { id: doc._id, error: e.error, reason: e.reason };
+				}
+			}.bind(this));
+		});
+	},
+	/**
+	 * Query a view of a design document. The map function is called with
+	 * every document (design documents are left out, unless
+	 * `options.include_design` is set in the design document).
+	 * @method view
+	 * @param {string} designName
+	 * @param {string} viewName
+	 * @param {object} [params] `key`, `keys`, `startkey`, `endkey`,
+	 * `startkey_docid`, `endkey_docid`, `inclusive_end`, `descending`,
+	 * `limit`, `skip` and `include_docs`. For reduce views, `reduce`,
+	 * `group` and `group_level` too.
+	 * @param {function(error, body)} [callback] body is
+	 * `{ total_rows, offset, rows }`, or `{ rows }` if the view is reduced
+	 * @returns {object} request-like object
+	 */
+	view: function(designName, viewName, params, callback) {
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		return this._respond(callback, function() {
+			return this._queryView(designName, viewName, params || {});
+		});
+	},
+	/**
+	 * Call an update handler of a design document
+	 * @method atomic
+	 * @param {string} designName
+	 * @param {string} updateName
+	 * @param {string} docName
+	 * @param {object} body sent to the handler as JSON in `req.body`
+	 * @param {function(error, body)} [callback] body is the response of the
+	 * handler, parsed if it's JSON
+	 * @returns {object} request-like object
+	 */
+	atomic: function(designName, updateName, docName, body, callback) {
+		return this._respond(callback, function() {
+			var ddoc = this._designDoc(designName);
+			var source = ddoc.updates && ddoc.updates[updateName];
+			var doc = null;
+			var result, response;
+
+			if (!source) {
+				throw couchError(404, 'not_found', 'missing update function ' +
+					updateName + ' on design doc _design/' + designName);
+			}
+
+			try {
+				doc = this._latestDoc(docName);
+			} catch (e) {
+				if (e.status_code !== 404) throw e;
+			}
+
+			result = this._compile(source)({})(doc, {
+				id: docName,
+				method: 'PUT',
+				body: JSON.stringify(body),
+				query: {},
+				form: {},
+				headers: {},
+				uuid: uuid.v4().replace(/-/g, '')
+			});
+
+			if (result[0]) {
+				this._write(result[0]);
+			}
+
+			response = result[1];
+
+			if (response && typeof response === 'object') {
+				return response.json !== undefined ? response.json :
+					parseBody(response.body);
+			}
+
+			return parseBody(response);
+		});
+	},
+	/**
+	 * Get the changes of the documents
+	 * @method changes
+	 * @param {object} [params] `since` (a sequence number or 'now'),
+	 * `include_docs`, `limit`, `filter` (like 'app/important', the filter
+	 * function gets the parameters in `req.query`), `feed` and `timeout`.
+	 * With `feed` set to 'longpoll', the response waits for a change.
+	 * @param {function(error, body)} [callback] body is
+	 * `{ results, last_seq }`
+	 * @returns {object} request-like object with an `abort` method
+	 */
+	changes: function(params, callback) {
+		var waiter;
+
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		params = params || {};
+		waiter = {
+			since: params.since === 'now' ? this._seq :
+				Number(params.since || 0),
+			params: params,
+			callback: callback,
+			timer: null
+		};
+
+		if (params.feed !== 'longpoll' ||
+			this._changesSince(waiter.since, params).results.length) {
+			return this._respond(callback, function() {
+				return this._changesSince(waiter.since, params);
+			});
+		}
+
+		waiter.timer = setTimeout(function() {
+			this._waiting.splice(this._waiting.indexOf(waiter), 1);
+			if (callback) {
+				callback(null, this._changesSince(waiter.since, params), {});
+			}
+		}.bind(this), Number(params.timeout) || 60000);
+
+		this._waiting.push(waiter);
+
+		return {
+			abort: function() {
+				var i = this._waiting.indexOf(waiter);
+
+				if (i !== -1) {
+					clearTimeout(waiter.timer);
+					this._waiting.splice(i, 1);
+				}
+			}.bind(this)
+		};
+	},
+	/**
+	 * Find documents with a Mango query
+	 * @method find
+	 * @param {object} query `selector`, `sort`, `fields`, `limit`, `skip`
+	 * and `bookmark`
+	 * @param {function(error, body)} [callback] body is
+	 * `{ docs, bookmark }`
+	 * @returns {object} request-like object
+	 */
+	find: function(query, callback) {
+		return this._respond(callback, function() {
+			var limit = query.limit === undefined ? FIND_LIMIT : query.limit;
+			var skip = query.bookmark ? decodeBookmark(query.bookmark) :
+				query.skip || 0;
+			var docs = this._latest(false).map(function(e) {
+				return this._body(e.entry, e.revision, {});
+			}.bind(this)).filter(function(doc) {
+				return matchSelector(doc, query.selector || {});
+			});
+
+			if (query.sort) sortDocs(docs, query.sort);
+
+			docs = docs.slice(skip, skip + limit);
+
+			return {
+				docs: query.fields ? docs.map(function(doc) {
+					return project(doc, query.fields);
+				}) : docs,
+				bookmark: encodeBookmark(skip + docs.length)
+			};
+		});
+	},
+	/**
+	 * Record a Mango index
+	 * @method createIndex
+	 * @param {object} body `{ index, name, ddoc }`
+	 * @param {function(error, body)} [callback] body is
+	 * `{ result, id, name }`, `result` is 'created' or 'exists'
+	 * @returns {object} request-like object
+	 */
+	createIndex: function(body, callback) {
+		return this._respond(callback, function() {
+			var hash = md5(JSON.stringify(body.index), 'hex');
+			var index = {
+				ddoc: body.ddoc || hash,
+				name: body.name || hash,
+				index: body.index
+			};
+			var exists = this._indexes.some(function(e) {
+				return e.ddoc === index.ddoc && e.name === index.name;
+			});
+
+			if (!exists) this._indexes.push(index);
+
+			return {
+				result: exists ? 'exists' : 'created',
+				id: '_design/' + index.ddoc,
+				name: index.name
+			};
+		});
+	},
+	/**
+	 * Get the latest revision of a document right away
+	 * @method _latestDoc
+	 * @private
+	 * @param {string} docName
+	 * @returns {object} the document, like {#get} gives it
+	 * @throws {Error} with a `status_code` of 404 if the document does not
+	 * exist
+	 */
+	_latestDoc: function(docName) {
+		var found = this._read(docName);
+
+		return this._body(found.entry, found.revision, {});
+	},
+	/**
+	 * Find a revision of a document
+	 * @method _read
+	 * @private
+	 * @param {string} id
+	 * @param {string} [rev] the latest revision if not given
+	 * @returns {object} `{ entry, revision }`, see {#_docs}
+	 * @throws {Error} with a `status_code` of 404 if the document (or the
+	 * revision) does not exist
+	 */
+	_read: function(id, rev) {
+		var entry = this._docs.hasOwnProperty(id) ? this._docs[id] : null;
+		var revision = entry && (rev ? entry.revs.find(function(e) {
+			return e.rev === rev;
+		}) : entry.revs[0]);
+
+		if (!revision) {
+			throw couchError(404, 'not_found', 'missing');
+		} else if (revision.deleted && !rev) {
+			throw couchError(404, 'not_found', 'deleted');
+		}
+
+		return { entry: entry, revision: revision };
+	},
+	/**
+	 * Write a new revision of a document
+	 * @method _write
+	 * @private
+	 * @param {object} doc document with the `_rev` of the revision it
+	 * replaces (the winning one, or a conflicting one), and `_deleted` set
+	 * to delete it
+	 * @param {boolean} [replicated] write `doc._rev` as it is, without
+	 * checking conflicts (like `new_edits: false`)
+	 * @returns {object} `{ ok, id, rev }`
+	 * @throws {Error} with a `status_code` of 409 on conflict
+	 */
+	_write: function(doc, replicated) {
+		var id = doc._id || uuid.v4().replace(/-/g, '');
+		var entry = this._docs.hasOwnProperty(id) ? this._docs[id] : null;
+		var latest = entry && entry.revs[0];
+		var data = clone(doc);
+		var parent = null;
+		var revision;
+
+		if (typeof id !== 'string' || (id[0] === '_' &&
+			id.indexOf('_design/') !== 0 && id.indexOf('_local/') !== 0)) {
+			throw couchError(400, 'bad_request',
+				'Only reserved document ids may start with underscore.');
+		}
+
+		if (!replicated) {
+			parent = doc._rev ? entry && leaves(entry).find(function(e) {
+				return e.rev === doc._rev;
+			}) : latest;
+
+			if (doc._rev ? !parent : latest && !latest.deleted) {
+				throw couchError(409, 'conflict', 'Document update conflict.');
+			}
+		}
+
+		['_id', '_rev', '_deleted', '_revisions', '_revs_info',
+			'_conflicts'].forEach(function(k) {
+			delete data[k];
+		});
+
+		revision = {
+			rev: replicated ? doc._rev :
+				((parent ? parseInt(parent.rev, 10) : 0) + 1) + '-' +
+				md5(JSON.stringify([parent && parent.rev, data]), 'hex'),
+			parent: parent && parent.rev,
+			data: data,
+			deleted: !!doc._deleted
+		};
+
+		if (data._attachments) {
+			data._attachments = storeAttachments(data._attachments,
+				parent && !parent.deleted ? parent.data._attachments : null,
+				parseInt(revision.rev, 10));
+			if (!Object.keys(data._attachments).length) {
+				delete data._attachments;
+			}
+		}
+
+		if (!entry) {
+			entry = this._docs[id] = { id: id, seq: 0, revs: [] };
+		}
+
+		if (replicated && entry.revs.some(function(e) {
+			return e.rev === revision.rev;
+		})) {
+			return { ok: true, id: id, rev: revision.rev };
+		}
+
+		entry.revs.unshift(revision);
+		latest = leaves(entry)[0];
+		entry.revs.splice(entry.revs.indexOf(latest), 1);
+		entry.revs.unshift(latest);
+		entry.seq = ++this._seq;
+		this._notify();
+
+		return { ok: true, id: id, rev: revision.rev };
+	},
+	/**
+	 * Create the document of a revision, like CouchDB gives it
+	 * @method _body
+	 * @private
+	 * @param {object} entry see {#_docs}
+	 * @param {object} revision
+	 * @param {object} params see {#get}
+	 * @returns {object}
+	 */
+	_body: function(entry, revision, params) {
+		var doc = { _id: entry.id, _rev: revision.rev };
+		var attachments = revision.data._attachments;
+		var older = [revision];
+		var conflicts;
+
+		while (older[older.length - 1].parent) {
+			older.push(this._read(entry.id, older[older.length - 1].parent).
+				revision);
+		}
+
+		for (var k in revision.data) {
+			if (k !== '_attachments') doc[k] = clone(revision.data[k]);
+		}
+
+		if (revision.deleted) doc._deleted = true;
+
+		if (attachments) {
+			doc._attachments = {};
+
+			Object.keys(attachments).forEach(function(name) {
+				var attachment = attachments[name];
+				var result = doc._attachments[name] = {
+					content_type: attachment.content_type,
+					revpos: attachment.revpos,
+					digest: attachment.digest,
+					length: attachment.length
+				};
+
+				if (flag(params.attachments)) result.data = attachment.data;
+				else result.stub = true;
+			});
+		}
+
+		if (flag(params.revs_info)) {
+			doc._revs_info = older.map(function(e) {
+				return {
+					rev: e.rev,
+					status: e.deleted ? 'deleted' : 'available'
+				};
+			});
+		}
+
+		if (flag(params.revs)) {
+			doc._revisions = {
+				start: parseInt(revision.rev, 10),
+				ids: older.map(function(e) {
+					return e.rev.replace(/^\d+-/, '');
+				})
+			};
+		}
+
+		if (flag(params.conflicts)) {
+			conflicts = leaves(entry).filter(function(e) {
+				return e !== revision && !e.deleted;
+			});
+
+			if (conflicts.length) {
+				doc._conflicts = conflicts.map(function(e) {
+					return e.rev;
+				});
+			}
+		}
+
+		return doc;
+	},
+	/**
+	 * Latest revisions of the documents, in the order of their IDs
+	 * @method _latest
+	 * @private
+	 * @param {boolean} design include design documents
+	 * @returns {[object]} `{ entry, revision }` objects, deleted documents
+	 * are left out
+	 */
+	_latest: function(design) {
+		return Object.keys(this._docs).sort().map(function(id) {
+			return { entry: this._docs[id], revision: this._docs[id].revs[0] };
+		}.bind(this)).filter(function(e) {
+			return !e.revision.deleted && e.entry.id.indexOf('_local/') !== 0 &&
+				(design || e.entry.id.indexOf('_design/') !== 0);
+		});
+	},
+	/**
+	 * Query `_all_docs`
+	 * @method _allDocs
+	 * @private
+	 * @param {object} params see {#list}
+	 * @returns {object} response body
+	 */
+	_allDocs: function(params) {
+		var all = this._latest(true).map(function(e) {
+			return {
+				id: e.entry.id,
+				key: e.entry.id,
+				value: { rev: e.revision.rev },
+				entry: e.entry,
+				revision: e.revision
+			};
+		});
+		var rows, offset;
+
+		if (params.keys) {
+			rows = params.keys.map(function(key) {
+				var entry = this._docs.hasOwnProperty(key) ? this._docs[key] :
+					null;
+
+				if (!entry) return { key: key, error: 'not_found' };
+
+				return {
+					id: key,
+					key: key,
+					value: entry.revs[0].deleted ?
+						{ rev: entry.revs[0].rev, deleted: true } :
+						{ rev: entry.revs[0].rev },
+					entry: entry,
+					revision: entry.revs[0]
+				};
+			}.bind(this));
+			offset = 0;
+		} else {
+			rows = selectRows(all, params, true);
+			offset = rows.offset;
+			rows = pageRows(rows, params);
+		}
+
+		return {
+			total_rows: all.length,
+			offset: offset,
+			rows: rows.map(function(row) {
+				var result = { id: row.id, key: row.key, value: row.value };
+
+				if (row.error) return { key: row.key, error: row.error };
+
+				if (flag(params.include_docs)) {
+					result.doc = row.revision.deleted ? null :
+						this._body(row.entry, row.revision, {});
+				}
+
+				return result;
+			}.bind(this))
+		};
+	},
+	/**
+	 * Latest revision of a design document
+	 * @method _designDoc
+	 * @private
+	 * @param {string} name name without `_design/`
+	 * @returns {object} content of the design document
+	 * @throws {Error} with a `status_code` of 404 if it does not exist
+	 */
+	_designDoc: function(name) {
+		return this._read('_design/' + name).revision.data;
+	},
+	/**
+	 * Query a view
+	 * @method _queryView
+	 * @private
+	 * @param {string} designName
+	 * @param {string} viewName
+	 * @param {object} params see {#view}
+	 * @returns {object} response body
+	 */
+	_queryView: function(designName, viewName, params) {
+		var ddoc = this._designDoc(designName);
+		var view = ddoc.views && ddoc.views[viewName];
+		var raw, rows, selected, reduce;
+
+		if (!view) {
+			throw couchError(404, 'not_found', 'missing_named_view');
+		}
+
+		raw = !!view.options && view.options.collation === 'raw';
+		rows = this._mapDocs(view.map, ddoc.options || {});
+		rows.sort(function(a, b) {
+			return compare(a.key, b.key, raw) || compare(a.id, b.id, true);
+		});
+
+		reduce = !!view.reduce && params.reduce !== false &&
+			params.reduce !== 'false';
+
+		if (reduce && flag(params.include_docs)) {
+			throw couchError(400, 'query_parse_error',
+				'`include_docs` is invalid for reduce');
+		}
+
+		if (params.keys) {
+			selected = [];
+			params.keys.forEach(function(key) {
+				selected = selected.concat(rows.filter(function(row) {
+					return compare(row.key, key, raw) === 0;
+				}));
+			});
+			selected.offset = 0;
+		} else {
+			selected = selectRows(rows, params, raw);
+		}
+
+		if (reduce) {
+			return {
+				rows: pageRows(this._reduceRows(selected, view.reduce, params,
+					raw), params)
+			};
+		}
+
+		return {
+			total_rows: rows.length,
+			offset: selected.offset,
+			rows: pageRows(selected, params).map(function(row) {
+				var result = { id: row.id, key: row.key, value: row.value };
+				var linked = row.value && typeof row.value === 'object' &&
+					typeof row.value._id === 'string';
+
+				if (flag(params.include_docs)) {
+					try {
+						result.doc = this._latestDoc(linked ? row.value._id :
+							row.id);
+					} catch (e) {
+						if (e.status_code !== 404) throw e;
+						result.doc = null;
+					}
+				}
+
+				return result;
+			}.bind(this))
+		};
+	},
+	/**
+	 * Call a map function with every document
+	 * @method _mapDocs
+	 * @private
+	 * @param {string} source map function
+	 * @param {object} options options of the design document
+	 * @returns {[object]} emitted `{ id, key, value }` rows, not sorted
+	 */
+	_mapDocs: function(source, options) {
+		var rows = [];
+		var emitted;
+		var map = this._compile(source)({
+			emit: function(key, value) {
+				emitted.push({
+					key: key === undefined ? null : clone(key),
+					value: value === undefined ? null : clone(value)
+				});
+			}
+		});
+
+		this._latest(!!options.include_design).forEach(function(e) {
+			var doc = this._body(e.entry, e.revision, { conflicts: true });
+
+			emitted = [];
+
+			try {
+				map(doc);
+			} catch (error) {
+				// like CouchDB, documents the function fails on are left out
+				return;
+			}
+
+			emitted.forEach(function(row) {
+				row.id = doc._id;
+				rows.push(row);
+			});
+		}.bind(this));
+
+		return rows;
+	},
+	/**
+	 * Reduce the rows of a view
+	 * @method _reduceRows
+	 * @private
+	 * @param {[object]} rows
+	 * @param {string} reduce reduce function, or the name of a builtin one
+	 * @param {object} params `group` and `group_level`
+	 * @param {boolean} raw compare the keys with raw collation
+	 * @returns {[object]} `{ key, value }` rows
+	 */
+	_reduceRows: function(rows, reduce, params, raw) {
+		var level = params.group_level !== undefined ?
+			Number(params.group_level) : null;
+		var group = flag(params.group) || level !== null;
+		var fn = this._reducer(reduce);
+		var groups = [];
+
+		rows.forEach(function(row) {
+			var key = !group ? null : level !== null && Array.isArray(row.key) ?
+				row.key.slice(0, level) : row.key;
+			var last = groups[groups.length - 1];
+
+			if (!last || compare(last.key, key, raw) !== 0) {
+				last = { key: key, rows: [] };
+				groups.push(last);
+			}
+
+			last.rows.push(row);
+		});
+
+		return groups.map(function(e) {
+			return {
+				key: e.key,
+				value: fn(e.rows.map(function(row) {
+					return [row.key, row.id];
+				}), e.rows.map(function(row) {
+					return row.value;
+				}), false)
+			};
+		});
+	},
+	/**
+	 * Get the function of a reduce
+	 * @method _reducer
+	 * @private
+	 * @param {string} reduce source, or the name of a builtin reduce
+	 * @returns {function(keys, values, rereduce)}
+	 */
+	_reducer: function(reduce) {
+		var builtins = {
+			_count: function(keys, values) {
+				return values.length;
+			},
+			_sum: function(keys, values) {
+				return values.reduce(function(total, value) {
+					if (!Array.isArray(value)) return total + value;
+
+					total = Array.isArray(total) ? total : [];
+					value.forEach(function(e, i) {
+						total[i] = (total[i] || 0) + e;
+					});
+					return total;
+				}, 0);
+			},
+			_stats: function(keys, values) {
+				return values.reduce(function(stats, value) {
+					stats.sum += value;
+					stats.count++;
+					stats.min = Math.min(stats.min, value);
+					stats.max = Math.max(stats.max, value);
+					stats.sumsqr += value * value;
+					return stats;
+				}, { sum: 0, count: 0, min: Infinity, max: -Infinity,
+					sumsqr: 0 });
+			}
+		};
+
+		if (reduce[0] !== '_') return this._compile(reduce)({});
+
+		if (!builtins[reduce]) {
+			throw couchError(500, 'unknown_builtin_reduce_function', reduce);
+		}
+
+		return builtins[reduce];
+	},
+	/**
+	 * Compile a design document function
+	 * @method _compile
+	 * @private
+	 * @param {string} source
+	 * @returns {function(object scope)} creates the function with the
+	 * functions of `scope` (like `emit`) in its scope
+	 */
+	_compile: function(source) {
+		if (!this._functions[source]) {
+			this._functions[source] = new Function('emit', 'sum', 'log',
+				'isArray', 'toJSON', 'return (' + source + ');');
+		}
+
+		return function(scope) {
+			return this._functions[source](scope.emit, function(values) {
+				return values.reduce(function(a, b) {
+					return a + b;
+				}, 0);
+			}, function() {}, Array.isArray, JSON.stringify);
+		}.bind(this);
+	},
+	/**
+	 * Changes since a sequence
+	 * @method _changesSince
+	 * @private
+	 * @param {number} since
+	 * @param {object} params see {#changes}
+	 * @returns {object} response body
+	 */
+	_changesSince: function(since, params) {
+		var filter = null;
+		var segments, results;
+
+		if (params.filter) {
+			segments = params.filter.split('/');
+			filter = this._designDoc(segments[0]).filters;
+			filter = filter && filter[segments[1]];
+
+			if (!filter) {
+				throw couchError(404, 'not_found', 'missing json key: ' +
+					segments[1]);
+			}
+
+			filter = this._compile(filter)({});
+		}
+
+		results = Object.keys(this._docs).map(function(id) {
+			return this._docs[id];
+		}.bind(this)).filter(function(entry) {
+			return entry.seq > since;
+		}).sort(function(a, b) {
+			return a.seq - b.seq;
+		}).filter(function(entry) {
+			return !filter || filter(this._body(entry, entry.revs[0], {}),
+				{ query: params });
+		}.bind(this)).map(function(entry) {
+			var change = {
+				seq: entry.seq,
+				id: entry.id,
+				changes: [{ rev: entry.revs[0].rev }]
+			};
+
+			if (entry.revs[0].deleted) change.deleted = true;
+			if (flag(params.include_docs)) {
+				change.doc = this._body(entry, entry.revs[0], {});
+			}
+
+			return change;
+		}.bind(this));
+
+		if (params.limit && results.length > params.limit) {
+			results = results.slice(0, params.limit);
+
+			return {
+				results: results,
+				last_seq: results[results.length - 1].seq
+			};
+		}
+
+		return { results: results, last_seq: this._seq };
+	},
+	/**
+	 * Answer the pending long polling requests which have changes
+	 * @method _notify
+	 * @private
+	 */
+	_notify: function() {
+		this._waiting.slice().forEach(function(waiter) {
+			var body = this._changesSince(waiter.since, waiter.params);
+
+			if (!body.results.length) return;
+
+			clearTimeout(waiter.timer);
+			this._waiting.splice(this._waiting.indexOf(waiter), 1);
+
+			process.nextTick(function() {
+				if (waiter.callback) waiter.callback(null, body, {});
+			});
+		}.bind(this));
+	},
+	/**
+	 * Add or replace an attachment (`attachment.insert`)
+	 * @method _insertAttachment
+	 * @private
+	 * @param {string} docName
+	 * @param {string} attName URL encoded name
+	 * @param {Buffer|string} data if null, a stream is returned to pipe the
+	 * data to
+	 * @param {string} contentType
+	 * @param {object} [params] `{ rev }`
+	 * @param {function(error, body)} [callback] body is `{ ok, id, rev }`
+	 * @returns {object} request-like object, a writable stream if `data` is
+	 * null
+	 */
+	_insertAttachment: function(docName, attName, data, contentType, params,
+		callback) {
+		var stream, chunks;
+
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		function attach(data) {
+			return this._respond(callback, function() {
+				var rev = params && params.rev;
+				var doc = { _id: docName, _attachments: {} };
+				var latest;
+
+				try {
+					latest = this._latestDoc(docName);
+				} catch (e) {
+					if (e.status_code !== 404) throw e;
+				}
+
+				if (latest) {
+					doc = latest;
+					doc._rev = rev;
+					doc._attachments = doc._attachments || {};
+				}
+
+				doc._attachments[decodeURIComponent(attName)] = {
+					content_type: contentType,
+					data: Buffer.from(data).toString('base64')
+				};
+
+				return this._write(doc);
+			});
+		}
+
+		if (data !== null && data !== undefined) {
+			return attach.call(this, data);
+		}
+
+		stream = new PassThrough();
+		chunks = [];
+		stream.on('data', function(chunk) {
+			chunks.push(chunk);
+		});
+		stream.on('end', function() {
+			attach.call(this, Buffer.concat(chunks));
+		}.bind(this));
+
+		return stream;
+	},
+	/**
+	 * Get the content of an attachment (`attachment.get`)
+	 * @method _getAttachment
+	 * @private
+	 * @param {string} docName
+	 * @param {string} attName URL encoded name
+	 * @param {object} [params]
+	 * @param {function(error, data)} [callback] data is a Buffer
+	 * @returns {object} request-like object, a readable stream of the
+	 * content if no callback is given
+	 */
+	_getAttachment: function(docName, attName, params, callback) {
+		var stream;
+		var result = {};
+
+		if (typeof params === 'function') {
+			callback = params;
+			params = null;
+		}
+
+		try {
+			result.data = this._attachmentData(docName, attName);
+		} catch (e) {
+			if (!e.status_code) throw e;
+			result.error = e;
+		}
+
+		if (callback) {
+			return this._respond(callback, function() {
+				if (result.error) throw result.error;
+				return result.data;
+			});
+		}
+
+		stream = new PassThrough();
+		process.nextTick(function() {
+			if (result.error) stream.emit('error', result.error);
+			else stream.end(result.data);
+		});
+
+		return stream;
+	},
+	/**
+	 * Content of an attachment of the latest revision
+	 * @method _attachmentData
+	 * @private
+	 * @param {string} docName
+	 * @param {string} attName URL encoded name
+	 * @returns {Buffer}
+	 * @throws {Error} with a `status_code` of 404 if there's no such
+	 * attachment
+	 */
+	_attachmentData: function(docName, attName) {
+		var attachments = this._read(docName).revision.data._attachments;
+		var name = decodeURIComponent(attName);
+
+		if (!attachments || !attachments[name]) {
+			throw couchError(404, 'not_found',
+				'Document is missing attachment');
+		}
+
+		return Buffer.from(attachments[name].data, 'base64');
+	},
+	/**
+	 * Remove an attachment (`attachment.destroy`)
+	 * @method _destroyAttachment
+	 * @private
+	 * @param {string} docName
+	 * @param {string} attName URL encoded name
+	 * @param {string} rev the latest revision
+	 * @param {function(error, body)} [callback] body is `{ ok, id, rev }`
+	 * @returns {object} request-like object
+	 */
+	_destroyAttachment: function(docName, attName, rev, callback) {
+		return this._respond(callback, function() {
+			var doc = this._latestDoc(docName);
+			var name = decodeURIComponent(attName);
+
+			if (!doc._attachments || !doc._attachments[name]) {
+				throw couchError(404, 'not_found',
+					'Document is missing attachment');
+			}
+
+			delete doc._attachments[name];
+			doc._rev = rev;
+
+			return this._write(doc);
+		});
+	}
+};
+
+/**
+ * Create an error like the ones nano gives for CouchDB error responses
+ * @private
+ * @param {number} statusCode
+ * @param {string} error
+ * @param {string} reason
+ * @returns {Error}
+ */
+function couchError(statusCode, error, reason) {
+	var e = new Error(reason);
+
+	e.error = error;
+	e.reason = reason;
+	e.scope = 'couch';
+	e.errid = 'non_200';
+	e.status_code = e['status-code'] = statusCode;
+
+	return e;
+}
+
+/**
+ * Copy a JSON value. Functions are turned into their source, like nano 
+ * does when it sends them (e.g. the views of design documents).
+ * @private
+ * @param {mixed} value
+ * @returns {mixed}
+ */
+function clone(value) {
+	return value === undefined ? undefined : 
+		JSON.parse(JSON.stringify(value, function(key, value) {
+			return typeof value === 'function' ? String(value) : value;
+		}));
+}
+
+/**
+ * MD5 hash of data
+ * @private
+ * @param {Buffer|string} data
+ * @param {string} encoding 'hex' or 'base64'
+ * @returns {string}
+ */
+function md5(data, encoding) {
+	return crypto.createHash('md5').update(data).digest(encoding);
+}
+
+/**
+ * Leaf revisions of a document (the ones no revision was written on),
+ * sorted like CouchDB chooses the winner: live revisions before deleted
+ * ones, then by revision number and hash, the highest first
+ * @private
+ * @param {object} entry see {#_docs}
+ * @returns {[object]} revisions, the winning one first
+ */
+function leaves(entry) {
+	return entry.revs.filter(function(revision) {
+		return !entry.revs.some(function(e) {
+			return e.parent === revision.rev;
+		});
+	}).sort(function(a, b) {
+		return (a.deleted - b.deleted) ||
+			(parseInt(b.rev, 10) - parseInt(a.rev, 10)) ||
+			(a.rev < b.rev ? 1 : a.rev > b.rev ? -1 : 0);
+	});
+}
+
+/**
+ * Check a boolean query string parameter
+ * @private
+ * @param {mixed} value
+ * @returns {boolean}
+ */
+function flag(value) {
+	return value === true || value === 'true';
+}
+
+/**
+ * Parse a response body if it's JSON
+ * @private
+ * @param {string} body
+ * @returns {mixed}
+ */
+function parseBody(body) {
+	try {
+		return JSON.parse(body);
+	} catch (e) {
+		return body;
+	}
+}
+
+/**
+ * Prepare the attachments of a new revision to be stored. Stubs are
+ * replaced with the attachments of the previous revision.
+ * @private
+ * @param {object} attachments `_attachments` of the document
+ * @param {object} previous stored attachments of the previous revision
+ * @param {number} revpos number of the new revision
+ * @returns {object} stored attachments, with their data
+ * @throws {Error} with a `status_code` of 412 if a stub has no attachment
+ */
+function storeAttachments(attachments, previous, revpos) {
+	var stored = {};
+
+	Object.keys(attachments).forEach(function(name) {
+		var attachment = attachments[name];
+		var data;
+
+		if (attachment.stub) {
+			if (!previous || !previous[name]) {
+				throw couchError(412, 'missing_stub', 'Invalid attachment ' +
+					'stub in ' + name);
+			}
+
+			stored[name] = previous[name];
+		} else {
+			data = Buffer.from(attachment.data || '', 'base64');
+			stored[name] = {
+				content_type: attachment.content_type,
+				data: data.toString('base64'),
+				digest: 'md5-' + md5(data, 'base64'),
+				length: data.length,
+				revpos: revpos
+			};
+		}
+	});
+
+	return stored;
+}
+
+/**
+ * Rank of the type of a value in the view collation
+ * @private
+ * @param {mixed} value
+ * @returns {number}
+ */
+function typeRank(value) {
+	if (value === null || value === undefined) return 0;
+	if (value === false) return 1;
+	if (value === true) return 2;
+	if (typeof value === 'number') return 3;
+	if (typeof value === 'string') return 4;
+	if (Array.isArray(value)) return 5;
+	return 6;
+}
+
+/**
+ * Compare two JSON values like CouchDB sorts view keys: null, false,
+ * true, numbers, strings, arrays, then objects. Strings are compared with
+ * the Unicode Collation Algorithm, or by code points with raw collation.
+ * @private
+ * @param {mixed} a
+ * @param {mixed} b
+ * @param {boolean} [raw]
+ * @returns {number} negative, zero or positive
+ */
+function compare(a, b, raw) {
+	var rank = typeRank(a);
+	var keysA, keysB, result, i;
+
+	if (rank !== typeRank(b)) return rank < typeRank(b) ? -1 : 1;
+
+	switch (rank) {
+	case 3:
+		return a < b ? -1 : a > b ? 1 : 0;
+	case 4:
+		result = raw ? 0 : a.localeCompare(b);
+		if (result) return result < 0 ? -1 : 1;
+		return a < b ? -1 : a > b ? 1 : 0;
+	case 5:
+		for (i = 0; i < a.length && i < b.length; i++) {
+			result = compare(a[i], b[i], raw);
+			if (result) return result;
+		}
+		return a.length - b.length;
+	case 6:
+		keysA = Object.keys(a);
+		keysB = Object.keys(b);
+		for (i = 0; i < keysA.length && i < keysB.length; i++) {
+			result = compare(keysA[i], keysB[i], raw) ||
+				compare(a[keysA[i]], b[keysB[i]], raw);
+			if (result) return result;
+		}
+		return keysA.length - keysB.length;
+	}
+
+	return 0;
+}
+
+/**
+ * Select the rows of a key range. Rows must be sorted by key, then by ID.
+ * @private
+ * @param {[object]} rows `{ id, key }` objects
+ * @param {object} params `key`, `startkey`, `endkey`, `startkey_docid`,
+ * `endkey_docid`, `inclusive_end` and `descending`
+ * @param {boolean} raw compare the keys with raw collation
+ * @returns {[object]} the rows in the requested order, with the position
+ * of the first one in `offset`
+ */
+function selectRows(rows, params, raw) {
+	var direction = flag(params.descending) ? -1 : 1;
+	var ordered = direction === 1 ? rows : rows.slice().reverse();
+	var startkey = params.startkey !== undefined ? params.startkey :
+		params.start_key;
+	var endkey = params.endkey !== undefined ? params.endkey :
+		params.end_key;
+	var inclusive = params.inclusive_end === undefined ||
+		flag(params.inclusive_end);
+	var selected;
+
+	function position(row, key, docid) {
+		return direction * (compare(row.key, key, raw) ||
+			(docid === undefined ? 0 : compare(row.id, docid, true)));
+	}
+
+	selected = ordered.filter(function(row) {
+		var end;
+
+		if (params.key !== undefined) {
+			return compare(row.key, params.key, raw) === 0;
+		}
+
+		if (startkey !== undefined &&
+			position(row, startkey, params.startkey_docid) < 0) {
+			return false;
+		}
+
+		if (endkey !== undefined) {
+			end = position(row, endkey, params.endkey_docid);
+			return end < 0 || (end === 0 && inclusive);
+		}
+
+		return true;
+	});
+
+	selected.offset = selected.length ? ordered.indexOf(selected[0]) :
+		ordered.length;
+
+	return selected;
+}
+
+/**
+ * Apply `skip` and `limit`
+ * @private
+ * @param {[object]} rows
+ * @param {object} params
+ * @returns {[object]}
+ */
+function pageRows(rows, params) {
+	var skip = Number(params.skip) || 0;
+	var limit = params.limit !== undefined ? Number(params.limit) :
+		rows.length;
+	var page = rows.slice(skip, skip + limit);
+
+	if (rows.offset !== undefined) page.offset = rows.offset + skip;
+
+	return page;
+}
+
+/**
+ * Get the value of a field
+ * @private
+ * @param {object} doc
+ * @param {string} path field name, or a path like 'author.name'
+ * @returns {mixed} undefined if the field does not exist
+ */
+function getPath(doc, path) {
+	return path.split('.').reduce(function(o, k) {
+		return o !== null && typeof o === 'object' && o.hasOwnProperty(k) ?
+			o[k] : undefined;
+	}, doc);
+}
+
+/**
+ * Check if a document matches a Mango selector
+ * @private
+ * @param {object} doc
+ * @param {object} selector
+ * @returns {boolean}
+ */
+function matchSelector(doc, selector) {
+	return Object.keys(selector).every(function(field) {
+		var condition = selector[field];
+
+		switch (field) {
+		case '$and':
+			return condition.every(matchSelector.bind(null, doc));
+		case '$or':
+			return condition.some(matchSelector.bind(null, doc));
+		case '$nor':
+			return !condition.some(matchSelector.bind(null, doc));
+		case '$not':
+			return !matchSelector(doc, condition);
+		}
+
+		return matchCondition(getPath(doc, field), condition);
+	});
+}
+
+/**
+ * Check if a value matches the condition of a field in a Mango selector
+ * @private
+ * @param {mixed} value undefined if the field does not exist
+ * @param {mixed} condition a value, operators like `{ $gt: 1 }`, or a
+ * selector of nested fields
+ * @returns {boolean}
+ */
+function matchCondition(value, condition) {
+	var keys = condition && typeof condition === 'object' &&
+		!Array.isArray(condition) ? Object.keys(condition) : null;
+
+	if (!keys || !keys.length) {
+		return value !== undefined && compare(value, condition) === 0;
+	}
+
+	if (!keys.every(function(k) { return k[0] === '$'; })) {
+		return !!value && typeof value === 'object' &&
+			matchSelector(value, condition);
+	}
+
+	return keys.every(function(operator) {
+		var arg = condition[operator];
+
+		function equals(e) {
+			return compare(value, e) === 0;
+		}
+
+		switch (operator) {
+		case '$exists':
+			return (value !== undefined) === !!arg;
+		case '$not':
+			return !matchCondition(value, arg);
+		case '$and':
+			return arg.every(matchCondition.bind(null, value));
+		case '$or':
+			return arg.some(matchCondition.bind(null, value));
+		case '$nor':
+			return !arg.some(matchCondition.bind(null, value));
+		}
+
+		if (value === undefined) return false;
+
+		switch (operator) {
+		case '$eq':
+			return compare(value, arg) === 0;
+		case '$ne':
+			return compare(value, arg) !== 0;
+		case '$gt':
+			return compare(value, arg) > 0;
+		case '$gte':
+			return compare(value, arg) >= 0;
+		case '$lt':
+			return compare(value, arg) < 0;
+		case '$lte':
+			return compare(value, arg) <= 0;
+		case '$in':
+			return arg.some(equals) || (Array.isArray(value) &&
+				value.some(function(e) {
+					return arg.some(function(a) {
+						return compare(e, a) === 0;
+					});
+				}));
+		case '$nin':
+			return !matchCondition(value, { $in: arg });
+		case '$all':
+			return Array.isArray(value) && arg.every(function(a) {
+				return value.some(function(e) {
+					return compare(e, a) === 0;
+				});
+			});
+		case '$size':
+			return Array.isArray(value) && value.length === arg;
+		case '$elemMatch':
+			return Array.isArray(value) && value.some(function(e) {
+				return matchCondition(e, arg);
+			});
+		case '$allMatch':
+			return Array.isArray(value) && value.length > 0 &&
+				value.every(function(e) {
+					return matchCondition(e, arg);
+				});
+		case '$regex':
+			return typeof value === 'string' && new RegExp(arg).test(value);
+		case '$beginsWith':
+			return typeof value === 'string' && value.indexOf(arg) === 0;
+		case '$mod':
+			return typeof value === 'number' && value % arg[0] === arg[1];
+		case '$type':
+			return ['null', 'boolean', 'boolean', 'number', 'string',
+				'array', 'object'][typeRank(value)] === arg;
+		}
+
+		throw couchError(400, 'invalid_operator', 'Invalid operator: ' +
+			operator);
+	});
+}
+
+/**
+ * Sort documents by the `sort` of a Mango query
+ * @private
+ * @param {[object]} docs sorted in place
+ * @param {[string|object]} sort field names, or `{ field: 'asc|desc' }`
+ * objects
+ */
+function sortDocs(docs, sort) {
+	var fields = sort.map(function(e) {
+		var field = typeof e === 'string' ? e : Object.keys(e)[0];
+
+		return {
+			path: field,
+			direction: typeof e !== 'string' && e[field] === 'desc' ? -1 : 1
+		};
+	});
+
+	docs.sort(function(a, b) {
+		for (var i = 0; i < fields.length; i++) {
+			var result = compare(getPath(a, fields[i].path),
+				getPath(b, fields[i].path));
+
+			if (result) return result * fields[i].direction;
+		}
+
+		return 0;
+	});
+}
+
+/**
+ * Pick the `fields` of a Mango query from a document
+ * @private
+ * @param {object} doc
+ * @param {[string]} fields field names or paths like 'author.name'
+ * @returns {object}
+ */
+function project(doc, fields) {
+	var result = {};
+
+	fields.forEach(function(path) {
+		var value = getPath(doc, path);
+		var segments = path.split('.');
+		var target = result;
+
+		if (value === undefined) return;
+
+		segments.slice(0, -1).forEach(function(k) {
+			target = target[k] = target[k] || {};
+		});
+		target[segments[segments.length - 1]] = value;
+	});
+
+	return result;
+}
+
+/**
+ * Create the bookmark of a Mango query result
+ * @private
+ * @param {number} position number of documents to skip
+ * @returns {string}
+ */
+function encodeBookmark(position) {
+	return Buffer.from(JSON.stringify(position)).toString('base64');
+}
+
+/**
+ * Read a bookmark created by {#encodeBookmark}
+ * @private
+ * @param {string} bookmark
+ * @returns {number}
+ * @throws {Error} with a `status_code` of 400 if it's invalid
+ */
+function decodeBookmark(bookmark) {
+	var position = parseBody(Buffer.from(bookmark, 'base64').toString());
+
+	if (typeof position !== 'number') {
+		throw couchError(400, 'invalid_bookmark',
+			'Invalid bookmark value: ' + bookmark);
+	}
+
+	return position;
+}
+
+module.exports = MemoryDatabase;
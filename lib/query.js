@@ -0,0 +1,316 @@
+/**
+ * Chainable builder of Mango queries
+ * @module query
+ */
+
+/**
+ * A query of a model, sent to `_find` by {#exec}. Create it with
+ * `Model#query()`.
+ * Conditions are added to the field selected by {#where}:
+ *
+ *     model.query().where('tags').contains('even').where('date').gte(date).
+ *         sort('-date').limit(10).exec(callback);
+ *
+ * @class Query
+ * @constructor
+ * @param {Model} model
+ */
+function Query(model) {
+	this._model = model;
+	this._selector = {};
+	this._options = {};
+}
+
+/**
+ * Create a method which adds a condition with a Mango operator to the
+ * current field
+ * @private
+ * @param {string} operator like '$gt'
+ * @returns {function(value)}
+ */
+function condition(operator) {
+	return function(value) {
+		var field = this._field;
+
+		if (!field) {
+			throw new Error('Call where() before adding a condition');
+		}
+
+		if (!this._selector[field] || 
+			typeof this._selector[field] !== 'object') {
+			this._selector[field] = this._selector.hasOwnProperty(field) ?
+				{ $eq: this._selector[field] } : {};
+		}
+
+		this._selector[field][operator] = value;
+		return this;
+	};
+}
+
+Query.prototype = {
+	/**
+	 * Model to query
+	 * @field _model
+	 * @type {Model}
+	 * @private
+	 */
+	_model: null,
+	/**
+	 * Mango selector
+	 * @field _selector
+	 * @type {object}
+	 * @private
+	 */
+	_selector: null,
+	/**
+	 * Options of `Model#find`
+	 * @field _options
+	 * @type {object}
+	 * @private
+	 */
+	_options: null,
+	/**
+	 * Field which the next condition is added to
+	 * @field _field
+	 * @type {string}
+	 * @private
+	 */
+	_field: null,
+	/**
+	 * Reference fields to populate
+	 * @field _populate
+	 * @type {[string]}
+	 * @private
+	 */
+	_populate: null,
+	/**
+	 * Select the field to add conditions to. With a value, the field must be
+	 * equal to it. With an object, it's added to the selector as it is.
+	 * @method where
+	 * @param {string|object} field field name (or a path like
+	 * 'author.name'), or a Mango selector
+	 * @param {mixed} [value]
+	 * @returns {Query} this
+	 */
+	where: function(field, value) {
+		if (field && typeof field === 'object') {
+			for (var k in field) {
+				this._selector[k] = field[k];
+			}
+		} else {
+			this._field = field;
+			if (arguments.length > 1) this.equals(value);
+		}
+
+		return this;
+	},
+	/**
+	 * The field must be equal to `value`
+	 * @method equals
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	equals: condition('$eq'),
+	/**
+	 * The field must not be equal to `value`
+	 * @method ne
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	ne: condition('$ne'),
+	/**
+	 * The field must be greater than `value`
+	 * @method gt
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	gt: condition('$gt'),
+	/**
+	 * The field must be greater than or equal to `value`
+	 * @method gte
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	gte: condition('$gte'),
+	/**
+	 * The field must be less than `value`
+	 * @method lt
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	lt: condition('$lt'),
+	/**
+	 * The field must be less than or equal to `value`
+	 * @method lte
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	lte: condition('$lte'),
+	/**
+	 * The field must be one of `values`
+	 * @method in
+	 * @param {[mixed]} values
+	 * @returns {Query} this
+	 */
+	in: condition('$in'),
+	/**
+	 * The field must not be any of `values`
+	 * @method nin
+	 * @param {[mixed]} values
+	 * @returns {Query} this
+	 */
+	nin: condition('$nin'),
+	/**
+	 * The field must exist (or must not exist, if `exists` is false)
+	 * @method exists
+	 * @param {boolean} [exists] true by default
+	 * @returns {Query} this
+	 */
+	exists: function(exists) {
+		return condition('$exists').call(this, exists !== false);
+	},
+	/**
+	 * The field must be an array containing `value`
+	 * @method contains
+	 * @param {mixed} value
+	 * @returns {Query} this
+	 */
+	contains: function(value) {
+		return condition('$elemMatch').call(this, { $eq: value });
+	},
+	/**
+	 * The field must be a string matching `pattern`
+	 * @method matches
+	 * @param {RegExp|string} pattern a regular expression. Flags of RegExp
+	 * objects are ignored.
+	 * @returns {Query} this
+	 */
+	matches: function(pattern) {
+		return condition('$regex').call(this,
+			pattern instanceof RegExp ? pattern.source : pattern);
+	},
+	/**
+	 * Sort the results. Fields are sorted ascending, or descending if they
+	 * are prefixed with '-'. Calls add more fields.
+	 * @method sort
+	 * @param {string} field... like 'date' or '-date'
+	 * @returns {Query} this
+	 */
+	sort: function() {
+		var sort = this._options.sort = this._options.sort || [];
+
+		Array.prototype.slice.call(arguments).forEach(function(field) {
+			var entry = {};
+
+			if (field[0] === '-') {
+				entry[field.slice(1)] = 'desc';
+			} else {
+				entry[field.replace(/^\+/, '')] = 'asc';
+			}
+
+			sort.push(entry);
+		});
+
+		return this;
+	},
+	/**
+	 * Limit the number of results
+	 * @method limit
+	 * @param {number} limit
+	 * @returns {Query} this
+	 */
+	limit: function(limit) {
+		this._options.limit = limit;
+		return this;
+	},
+	/**
+	 * Skip the first results
+	 * @method skip
+	 * @param {number} skip
+	 * @returns {Query} this
+	 */
+	skip: function(skip) {
+		this._options.skip = skip;
+		return this;
+	},
+	/**
+	 * Only load some fields of the documents. The instances will be
+	 * partial, don't save them.
+	 * @method fields
+	 * @param {[string]} fields
+	 * @returns {Query} this
+	 */
+	fields: function(fields) {
+		this._options.fields = fields;
+		return this;
+	},
+	/**
+	 * Continue from the bookmark of a previous result
+	 * @method bookmark
+	 * @param {string} bookmark
+	 * @returns {Query} this
+	 */
+	bookmark: function(bookmark) {
+		this._options.bookmark = bookmark;
+		return this;
+	},
+	/**
+	 * Use a specific index
+	 * @method useIndex
+	 * @param {string|[string]} index design document ID, or design
+	 * document ID and index name
+	 * @returns {Query} this
+	 */
+	useIndex: function(index) {
+		this._options.use_index = index;
+		return this;
+	},
+	/**
+	 * Populate reference fields of the results, see `Model#populate`
+	 * @method populate
+	 * @param {string} field... names of reference fields
+	 * @returns {Query} this
+	 */
+	populate: function() {
+		var fields = [].concat.apply([], arguments);
+
+		this._populate = (this._populate || []).concat(fields);
+		return this;
+	},
+	/**
+	 * Get the Mango selector of the query
+	 * @method selector
+	 * @returns {object}
+	 */
+	selector: function() {
+		return JSON.parse(JSON.stringify(this._selector));
+	},
+	/**
+	 * Run the query with `Model#find`
+	 * @method exec
+	 * @param {function(error, result)} [callback] see `Model#find`
+	 * @returns {Promise} if no callback given
+	 */
+	exec: function(callback) {
+		var promise = this._model.find(this._selector, this._options);
+
+		if (this._populate) {
+			promise = promise.populate(this._populate);
+		}
+
+		if (callback) promise.nodeify(callback);
+		else return promise;
+	},
+	/**
+	 * Run the query, and wait for the result
+	 * @method then
+	 * @param {function(result)} onFulfilled
+	 * @param {function(error)} [onRejected]
+	 * @returns {Promise}
+	 */
+	then: function(onFulfilled, onRejected) {
+		return this.exec().then(onFulfilled, onRejected);
+	}
+};
+
+module.exports = Query;
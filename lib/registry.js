@@ -0,0 +1,136 @@
+/**
+ * Registry of typed models
+ * @module registry
+ * @requires q
+ * @requires node.extend
+ */
+
+var Q = require('q');
+var extend = require('node.extend');
+
+/**
+ * A registry maps document types to models, so documents of different types
+ * can be turned into instances of the right model.
+ * Models are registered by passing the registry in `options.registry`.
+ * @class Registry
+ * @constructor
+ */
+function Registry() {
+	this._models = {};
+}
+
+Registry.prototype = {
+	/**
+	 * Registered models keyed by type
+	 * @field _models
+	 * @type {object}
+	 * @private
+	 */
+	_models: null,
+	/**
+	 * Register a model. A model registered earlier with the same type is
+	 * replaced.
+	 * @method register
+	 * @param {Model} model a model with `options.type` set
+	 */
+	register: function(model) {
+		if (!model._type) {
+			throw new Error('Only models with a type can be registered');
+		}
+
+		this._models[model._type] = model;
+	},
+	/**
+	 * Get the model of a type
+	 * @method getModel
+	 * @param {string} type
+	 * @returns {Model} null if the type is not registered
+	 */
+	getModel: function(type) {
+		return this._models.hasOwnProperty(type) ? this._models[type] : null;
+	},
+	/**
+	 * Find the model of a document
+	 * @method modelFor
+	 * @param {object} doc
+	 * @returns {Model} null if the type of the document is not registered
+	 */
+	modelFor: function(doc) {
+		var model;
+
+		for (var type in this._models) {
+			model = this._models[type];
+			if (doc && doc[model._typeField] === type) {
+				return model;
+			}
+		}
+
+		return null;
+	},
+	/**
+	 * Create an instance from a document using the constructor of its model.
+	 * The `afterLoad` hooks of the model are not called.
+	 * @method hydrate
+	 * @param {object} doc
+	 * @returns {Instance} null if the type of the document is not registered
+	 */
+	hydrate: function(doc) {
+		var model = this.modelFor(doc);
+
+		return model ? model._hydrate(doc) : null;
+	},
+	/**
+	 * Find elements of any registered type in a view. Rows are hydrated
+	 * from `doc` if the view is queried with `include_docs`, from `value`
+	 * otherwise. Documents of unregistered types are left out, and so are
+	 * soft deleted documents (like in `Model#findRowsByView`), unless 
+	 * `withDeleted` is set in `params`. The `afterLoad` hooks of the models
+	 * are called.
+	 * @method findManyByView
+	 * @param {object} databaseHandle a nano db handle
+	 * @param {string} viewPath path to the view, like
+	 * '_design/blog/_view/by_date'
+	 * @param {object} params query string parameters to be passed to couch
+	 * @param {function(error, result)} [callback] result will be an array of
+	 * instances
+	 * @returns {Promise} if no callback given
+	 */
+	findManyByView: function(databaseHandle, viewPath, params, callback) {
+		var withDeleted;
+
+		if (!callback) {
+			return Q.ninvoke(this, 'findManyByView', databaseHandle, viewPath,
+				params);
+		}
+
+		params = extend({}, params);
+		withDeleted = params.withDeleted === true || 
+			params.withDeleted === 'true';
+		delete params.withDeleted;
+
+		databaseHandle.get(viewPath, params, function(error, results) {
+			if (error) {
+				callback(error, null);
+			} else {
+				Q.all(results.rows.map(function(e) {
+					var doc = e.doc || e.value;
+					var model = this.modelFor(doc);
+
+					if (!model || (!withDeleted && model._isDeleted(doc))) {
+						return null;
+					}
+
+					return model._load([doc]).get(0);
+				}.bind(this))).then(function(instances) {
+					callback(null, instances.filter(function(e) {
+						return e !== null;
+					}));
+				}, function(error) {
+					callback(error, null);
+				}).done();
+			}
+		}.bind(this));
+	}
+};
+
+module.exports = Registry;
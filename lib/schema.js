@@ -0,0 +1,330 @@
+/**
+ * Declarative document schema
+ * @module schema
+ * @requires node.extend
+ */
+
+var extend = require('node.extend');
+
+var TYPES = ['string', 'number', 'boolean', 'date', 'object', 'array', 'any'];
+
+/**
+ * Parse a field definition into a normalized field descriptor.
+ * A definition can be
+ * - a constructor (`String`, `Number`, `Boolean`, `Date`, `Object`, `Array`)
+ * - a type name (`'string'`, `'number'`, `'boolean'`, `'date'`, `'object'`,
+ * `'array'` or `'any'`)
+ * - an array with one definition, describing the array elements
+ * - an object with a `type` field, which can have `required`, `default`,
+ * `ref` (the type name of a registered model, or a model, if the field holds
+ * IDs of its documents) and `hidden` (if the field is left out of the output
+ * for clients)
+ * - any other object, describing the fields of a nested object
+ * @private
+ * @param {mixed} definition
+ * @param {string} path used in error messages
+ * @returns {object} field descriptor
+ */
+function parseField(definition, path) {
+	var field;
+
+	if (typeof definition === 'function') {
+		field = { type: ({
+			String: 'string',
+			Number: 'number',
+			Boolean: 'boolean',
+			Date: 'date',
+			Object: 'object',
+			Array: 'array'
+		})[definition.name] };
+	} else if (typeof definition === 'string') {
+		field = { type: definition.toLowerCase() };
+	} else if (Array.isArray(definition)) {
+		field = {
+			type: 'array',
+			items: definition.length ?
+				parseField(definition[0], path + '[]') : null
+		};
+	} else if (definition && typeof definition === 'object') {
+		if (definition.hasOwnProperty('type')) {
+			field = parseField(definition.type, path);
+			field.required = !!definition.required;
+
+			if (definition.hasOwnProperty('default')) {
+				field.hasDefault = true;
+				field.default = definition.default;
+			}
+
+			if (definition.ref) {
+				field.ref = definition.ref;
+			}
+
+			if (definition.hidden) {
+				field.hidden = true;
+			}
+		} else {
+			field = { type: 'object', fields: parseFields(definition, path) };
+		}
+	}
+
+	if (!field || TYPES.indexOf(field.type) === -1) {
+		throw new Error('Invalid schema definition for field ' + path);
+	}
+
+	return field;
+}
+
+/**
+ * Parse an object of field definitions
+ * @private
+ * @param {object} definitions
+ * @param {string} [prefix] path of the parent field
+ * @returns {object} field descriptors keyed by field name
+ */
+function parseFields(definitions, prefix) {
+	var fields = {};
+
+	for (var k in definitions) {
+		fields[k] = parseField(definitions[k], prefix ? prefix + '.' + k : k);
+	}
+
+	return fields;
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' &&
+		!Array.isArray(value) && !(value instanceof Date);
+}
+
+function checkType(type, value) {
+	switch (type) {
+		case 'string': return typeof value === 'string';
+		case 'number': return typeof value === 'number' && !isNaN(value);
+		case 'boolean': return typeof value === 'boolean';
+		case 'date': return value instanceof Date && !isNaN(value.getTime());
+		case 'object': return isPlainObject(value);
+		case 'array': return Array.isArray(value);
+		default: return true;
+	}
+}
+
+function defaultValue(field) {
+	var value = field.default;
+
+	if (typeof value === 'function') {
+		return value();
+	} else if (Array.isArray(value)) {
+		return extend(true, [], value);
+	} else if (isPlainObject(value)) {
+		return extend(true, {}, value);
+	} else {
+		return value;
+	}
+}
+
+function coerceValue(field, value) {
+	var coerced;
+
+	switch (field.type) {
+		case 'number':
+			if (typeof value === 'string' && value.trim() !== '' &&
+				!isNaN(+value)) {
+				return +value;
+			}
+			break;
+		case 'date':
+			if (typeof value === 'string' || typeof value === 'number') {
+				coerced = new Date(value);
+				if (!isNaN(coerced.getTime())) return coerced;
+			}
+			break;
+		case 'boolean':
+			if (value === 'true') return true;
+			if (value === 'false') return false;
+			break;
+		case 'string':
+			if (typeof value === 'number' || typeof value === 'boolean') {
+				return String(value);
+			} else if (value instanceof Date && !isNaN(value.getTime())) {
+				return value.toISOString();
+			}
+			break;
+		case 'object':
+			if (field.fields && isPlainObject(value)) {
+				coerceFields(field.fields, value);
+			}
+			break;
+		case 'array':
+			if (field.items && Array.isArray(value)) {
+				value.forEach(function(e, i) {
+					if (e !== null && e !== undefined) {
+						value[i] = coerceValue(field.items, e);
+					}
+				});
+			}
+			break;
+	}
+
+	return value;
+}
+
+function coerceFields(fields, data) {
+	for (var k in fields) {
+		if (data[k] !== null && data[k] !== undefined) {
+			data[k] = coerceValue(fields[k], data[k]);
+		}
+	}
+}
+
+function applyDefaults(fields, data) {
+	for (var k in fields) {
+		if (data[k] === undefined && fields[k].hasDefault) {
+			data[k] = defaultValue(fields[k]);
+		}
+
+		if (fields[k].fields && isPlainObject(data[k])) {
+			applyDefaults(fields[k].fields, data[k]);
+		} else if (fields[k].items && fields[k].items.fields &&
+			Array.isArray(data[k])) {
+			data[k].forEach(function(e) {
+				if (isPlainObject(e)) applyDefaults(fields[k].items.fields, e);
+			});
+		}
+	}
+}
+
+function validateValue(field, value, path, errors) {
+	if (value === null || value === undefined) {
+		if (field.required) {
+			errors.push({
+				field: path,
+				message: 'is required',
+				code: 'required'
+			});
+		}
+		return;
+	}
+
+	if (!checkType(field.type, value)) {
+		errors.push({
+			field: path,
+			message: 'must be of type ' + field.type,
+			code: 'type'
+		});
+		return;
+	}
+
+	if (field.fields) {
+		validateFields(field.fields, value, path + '.', errors);
+	} else if (field.items) {
+		value.forEach(function(e, i) {
+			validateValue(field.items, e, path + '.' + i, errors);
+		});
+	}
+}
+
+function validateFields(fields, data, prefix, errors) {
+	for (var k in fields) {
+		validateValue(fields[k], data[k], prefix + k, errors);
+	}
+}
+
+function hiddenFields(fields, prefix, paths) {
+	for (var k in fields) {
+		if (fields[k].hidden) {
+			paths.push(prefix + k);
+		} else if (fields[k].fields) {
+			hiddenFields(fields[k].fields, prefix + k + '.', paths);
+		}
+	}
+
+	return paths;
+}
+
+/**
+ * Document schema. Fields which are not declared are left untouched.
+ * @class Schema
+ * @constructor
+ * @param {object} definition field definitions keyed by field name
+ */
+function Schema(definition) {
+	this._fields = parseFields(definition);
+}
+
+Schema.prototype = {
+	/**
+	 * Normalized field descriptors keyed by field name
+	 * @field _fields
+	 * @type {object}
+	 * @private
+	 */
+	_fields: null,
+	/**
+	 * Set default values on missing fields. Defaults of nested fields are
+	 * only applied if the parent object exists.
+	 * @method applyDefaults
+	 * @param {object} data object to modify
+	 * @returns {object} `data`
+	 */
+	applyDefaults: function(data) {
+		applyDefaults(this._fields, data);
+		return data;
+	},
+	/**
+	 * Convert field values to their declared types where possible, e.g.
+	 * ISO strings to dates and numeric strings to numbers. Values which
+	 * can't be converted are left as they are.
+	 * @method coerce
+	 * @param {object} data object to modify
+	 * @returns {object} `data`
+	 */
+	coerce: function(data) {
+		coerceFields(this._fields, data);
+		return data;
+	},
+	/**
+	 * Check types and required fields
+	 * @method validate
+	 * @param {object} data
+	 * @returns {[object]} list of `{ field, message, code }` failures,
+	 * empty if `data` is valid
+	 */
+	validate: function(data) {
+		var errors = [];
+		validateFields(this._fields, data, '', errors);
+		return errors;
+	},
+	/**
+	 * Get the paths of the hidden fields
+	 * @method hiddenFields
+	 * @returns {[string]} paths like 'auth.hash'
+	 */
+	hiddenFields: function() {
+		return hiddenFields(this._fields, '', []);
+	},
+	/**
+	 * Get the reference fields. Only top level fields can be references,
+	 * holding an ID, or an array of IDs.
+	 * @method references
+	 * @returns {object} `{ ref, many }` objects keyed by field name. `many`
+	 * is true for arrays of IDs.
+	 */
+	references: function() {
+		var references = {};
+		var field;
+
+		for (var k in this._fields) {
+			field = this._fields[k];
+
+			if (field.ref) {
+				references[k] = { ref: field.ref, many: false };
+			} else if (field.items && field.items.ref) {
+				references[k] = { ref: field.items.ref, many: true };
+			}
+		}
+
+		return references;
+	}
+};
+
+module.exports = Schema;
@@ -0,0 +1,396 @@
+/**
+ * Changes feed subscriptions
+ * @module watcher
+ * @requires q
+ * @requires node.extend
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var extend = require('node.extend');
+var Q = require('q');
+
+/**
+ * Checkpoint store keeping the sequences in memory. Checkpoint stores have
+ * a `get(key)` and a `set(key, seq)` method, which can return promises.
+ * @class MemoryCheckpointStore
+ * @constructor
+ */
+function MemoryCheckpointStore() {
+	this._checkpoints = {};
+}
+
+MemoryCheckpointStore.prototype = {
+	/**
+	 * Sequences keyed by checkpoint key
+	 * @field _checkpoints
+	 * @type {object}
+	 * @private
+	 */
+	_checkpoints: null,
+	/**
+	 * Get the last sequence
+	 * @method get
+	 * @param {string} key
+	 * @returns {mixed} undefined if there's no checkpoint yet
+	 */
+	get: function(key) {
+		return this._checkpoints[key];
+	},
+	/**
+	 * Store the last sequence
+	 * @method set
+	 * @param {string} key
+	 * @param {mixed} seq
+	 */
+	set: function(key, seq) {
+		this._checkpoints[key] = seq;
+	}
+};
+
+/**
+ * Store used by watchers without `options.store`
+ * @private
+ */
+var defaultStore = new MemoryCheckpointStore();
+
+/**
+ * Follows the changes feed of the database of a model with long polling,
+ * and emits events with the changed instances. Create it with
+ * `Model#watch`.
+ *
+ * Events:
+ * - `created`, `updated`: `(instance, change)`, instance is loaded like in
+ * the finders (with the `afterLoad` hooks)
+ * - `deleted`: `(instance, change)`, instance only has `_id` and `_rev`
+ * (and the fields kept in the deleted revision). Soft deleted documents 
+ * are deleted too, their instances have all the fields (`updated` is 
+ * emitted when they are restored).
+ * - `checkpoint`: `(seq)`, after a batch of changes is handled and its last
+ * sequence is stored
+ * - `error`: `(error)`, if a request fails (it's retried later), or an
+ * instance can't be loaded (the change is skipped). Only emitted if there
+ * are listeners.
+ * - `stop`: when the watcher is stopped
+ *
+ * If the model has a type, changes of documents of other types are left
+ * out. Deleted documents usually don't keep their fields (and without
+ * `includeDocs`, there are no fields at all), so these changes are only
+ * left out if the revision has another type.
+ * @class Watcher
+ * @constructor
+ * @param {Model} model
+ * @param {object} [options] see `Model#watch`
+ */
+function Watcher(model, options) {
+	EventEmitter.call(this);
+
+	options = options || {};
+
+	this._model = model;
+	this._store = options.store || defaultStore;
+	this._key = options.name || defaultKey(model);
+	this._since = options.since;
+	this._delay = this._retryDelay = options.retryDelay || 1000;
+	this._maxRetryDelay = options.maxRetryDelay || 30000;
+	this._stopped = false;
+	this._stopping = Q.defer();
+
+	this._params = extend({}, options.params, {
+		feed: 'longpoll',
+		timeout: options.timeout || 60000,
+		include_docs: options.includeDocs !== false
+	});
+
+	if (options.filter) this._params.filter = options.filter;
+	if (options.limit) this._params.limit = options.limit;
+
+	// start after the listeners are added
+	process.nextTick(this._start.bind(this));
+}
+
+/**
+ * Default checkpoint key of a model
+ * @private
+ * @param {Model} model
+ * @returns {string}
+ */
+function defaultKey(model) {
+	var config = model._db.config || {};
+
+	return [config.url, config.db, model._type].filter(function(e) {
+		return !!e;
+	}).join('/') || 'default';
+}
+
+Watcher.prototype = Object.create(EventEmitter.prototype);
+
+extend(Watcher.prototype, {
+	constructor: Watcher,
+	/**
+	 * Watched model
+	 * @field _model
+	 * @type {Model}
+	 * @private
+	 */
+	_model: null,
+	/**
+	 * Checkpoint store
+	 * @field _store
+	 * @type {object}
+	 * @private
+	 */
+	_store: null,
+	/**
+	 * Checkpoint key
+	 * @field _key
+	 * @type {string}
+	 * @private
+	 */
+	_key: null,
+	/**
+	 * Sequence to get the changes since
+	 * @field _since
+	 * @type {mixed}
+	 * @private
+	 */
+	_since: null,
+	/**
+	 * Query string parameters of the _changes requests
+	 * @field _params
+	 * @type {object}
+	 * @private
+	 */
+	_params: null,
+	/**
+	 * Delay of the next retry in milliseconds
+	 * @field _delay
+	 * @type {number}
+	 * @private
+	 */
+	_delay: null,
+	/**
+	 * Delay of the first retry in milliseconds
+	 * @field _retryDelay
+	 * @type {number}
+	 * @private
+	 */
+	_retryDelay: null,
+	/**
+	 * Maximum delay of retries in milliseconds
+	 * @field _maxRetryDelay
+	 * @type {number}
+	 * @private
+	 */
+	_maxRetryDelay: null,
+	/**
+	 * True after {#stop} is called
+	 * @field _stopped
+	 * @type {boolean}
+	 * @private
+	 */
+	_stopped: null,
+	/**
+	 * Pending _changes request, if any
+	 * @field _request
+	 * @type {object}
+	 * @private
+	 */
+	_request: null,
+	/**
+	 * Timer of the next retry, if any
+	 * @field _timer
+	 * @type {object}
+	 * @private
+	 */
+	_timer: null,
+	/**
+	 * Resolved when the watcher is stopped
+	 * @field _stopping
+	 * @type {object}
+	 * @private
+	 */
+	_stopping: null,
+	/**
+	 * Load the checkpoint (unless `since` is given), and start polling
+	 * @method _start
+	 * @private
+	 */
+	_start: function() {
+		if (this._stopped) return this._finish();
+
+		Q.fcall(function() {
+			if (this._since === undefined || this._since === null) {
+				return this._store.get(this._key);
+			}
+
+			return this._since;
+		}.bind(this)).then(function(seq) {
+			this._since = seq === undefined || seq === null ? 'now' : seq;
+			this._poll();
+		}.bind(this), this._retry.bind(this, this._start)).done();
+	},
+	/**
+	 * Request the next batch of changes
+	 * @method _poll
+	 * @private
+	 */
+	_poll: function() {
+		var params = extend({}, this._params, { since: this._since });
+
+		if (this._stopped) return this._finish();
+
+		this._request = this._model._db.changes(params,
+			function(error, body) {
+			this._request = null;
+
+			if (this._stopped) {
+				this._finish();
+			} else if (error) {
+				this._retry(this._poll, error);
+			} else {
+				this._delay = this._retryDelay;
+				this._handleBatch(body).then(this._poll.bind(this),
+					this._retry.bind(this, this._poll)).done();
+			}
+		}.bind(this));
+	},
+	/**
+	 * Emit the events of a batch of changes, and store the checkpoint
+	 * @method _handleBatch
+	 * @private
+	 * @param {object} body response of the _changes request
+	 * @returns {Promise}
+	 */
+	_handleBatch: function(body) {
+		return body.results.reduce(function(promise, change) {
+			return promise.then(this._handleChange.bind(this, change));
+		}.bind(this), Q()).then(function() {
+			if (this._stopped || body.last_seq === undefined) return;
+
+			return Q.fcall(function() {
+				return this._store.set(this._key, body.last_seq);
+			}.bind(this)).then(function() {
+				this._since = body.last_seq;
+				this.emit('checkpoint', body.last_seq);
+			}.bind(this));
+		}.bind(this));
+	},
+	/**
+	 * Emit the event of a change
+	 * @method _handleChange
+	 * @private
+	 * @param {object} change row of the _changes response
+	 * @returns {Promise}
+	 */
+	_handleChange: function(change) {
+		var model = this._model;
+		var rev = change.changes && change.changes[0] && change.changes[0].rev;
+		var doc = change.doc || { _id: change.id, _rev: rev };
+		var loaded, own, deleted;
+
+		// the type of deleted documents and changes without the document 
+		// is only known if it's kept in the revision
+		if (change.doc && !change.deleted) {
+			own = model._isOwnType(doc);
+		} else {
+			own = doc[model._typeField] === undefined || model._isOwnType(doc);
+		}
+
+		if (this._stopped || change.id.indexOf('_design/') === 0 || !own) {
+			return Q();
+		}
+
+		deleted = change.deleted || model._isDeleted(doc);
+
+		if (deleted) {
+			loaded = Q([model._hydrate(doc)]);
+		} else {
+			loaded = model._load([doc]);
+		}
+
+		return loaded.spread(function(instance) {
+			var event = deleted ? 'deleted' :
+				/^1-/.test(doc._rev || rev) ? 'created' : 'updated';
+
+			if (!this._stopped) this.emit(event, instance, change);
+		}.bind(this), this._error.bind(this));
+	},
+	/**
+	 * Try again later
+	 * @method _retry
+	 * @private
+	 * @param {function} fn method to call
+	 * @param {Error} error
+	 */
+	_retry: function(fn, error) {
+		if (this._stopped) return this._finish();
+
+		this._error(error);
+		this._timer = setTimeout(function() {
+			this._timer = null;
+			fn.call(this);
+		}.bind(this), this._delay);
+
+		this._delay = Math.min(this._delay * 2, this._maxRetryDelay);
+	},
+	/**
+	 * Emit an error if there are listeners
+	 * @method _error
+	 * @private
+	 * @param {Error} error
+	 */
+	_error: function(error) {
+		if (this.listeners('error').length) {
+			this.emit('error', error);
+		}
+	},
+	/**
+	 * Resolve the promise of {#stop}, once
+	 * @method _finish
+	 * @private
+	 */
+	_finish: function() {
+		if (this._stopping.promise.isPending()) {
+			this._stopping.resolve();
+			this.emit('stop');
+		}
+	},
+	/**
+	 * Stop following the changes. The pending request is aborted, the timer
+	 * of the next retry is cleared, and no more events are emitted (except
+	 * `stop`). Nothing keeps the process running after the watcher has 
+	 * stopped.
+	 * @method stop
+	 * @param {function(error)} [callback] called when the watcher has
+	 * stopped. If it's stopped in the middle of a batch, the batch is not
+	 * checkpointed, so the next watcher gets its changes again.
+	 * @returns {Promise} if no callback given
+	 */
+	stop: function(callback) {
+		var waiting;
+
+		if (!this._stopped) {
+			this._stopped = true;
+			waiting = !!(this._timer || this._request);
+
+			if (this._timer) {
+				clearTimeout(this._timer);
+				this._timer = null;
+			}
+
+			if (this._request && typeof this._request.abort === 'function') {
+				this._request.abort();
+			}
+			this._request = null;
+
+			// otherwise the step in progress finishes when it sees _stopped
+			if (waiting) this._finish();
+		}
+
+		if (callback) this._stopping.promise.nodeify(callback);
+		else return this._stopping.promise;
+	}
+});
+
+module.exports = Watcher;
+module.exports.MemoryCheckpointStore = MemoryCheckpointStore;
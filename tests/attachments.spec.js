@@ -0,0 +1,178 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model attachments
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var PassThrough = require('stream').PassThrough;
+var Q = require('q');
+
+describe('couchdb-model attachments', function() {
+	var db = helper.db;
+	var model;
+
+	// read a stream into a buffer
+	function read(stream) {
+		var deferred = Q.defer();
+		var chunks = [];
+
+		stream.on('data', function(chunk) {
+			chunks.push(Buffer.from(chunk));
+		});
+		stream.on('end', function() {
+			deferred.resolve(Buffer.concat(chunks));
+		});
+		stream.on('error', deferred.reject);
+
+		return deferred.promise;
+	}
+
+	helper.useDatabase();
+
+	beforeEach(function() {
+		model = couchDBModel(db);
+	});
+
+	it('should save inline attachments with the instance', function(done) {
+		var instance = model.create({ _id: 'doc', title: 'with file' });
+
+		instance.attach('hello.txt', 'hello', 'text/plain').then(function() {
+			instance.listAttachments().should.deep.equal([{
+				name: 'hello.txt',
+				contentType: 'text/plain',
+				length: 5,
+				digest: null,
+				pending: true
+			}]);
+			instance.isDirty().should.equal(true);
+
+			return instance.save();
+		}).then(function() {
+			instance.listAttachments()[0].pending.should.equal(false);
+			instance.isDirty().should.equal(false);
+
+			return model.findOneByID('doc');
+		}).then(function(loaded) {
+			loaded.listAttachments()[0].length.should.equal(5);
+			loaded.listAttachments()[0].digest.should.be.a('string');
+
+			return loaded.getAttachment('hello.txt');
+		}).then(function(data) {
+			data.toString().should.equal('hello');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should upload attachments of saved instances', function(done) {
+		var instance = model.create({ _id: 'doc', title: 'a' });
+		var revs = [];
+
+		instance.save().then(function() {
+			revs.push(instance._rev);
+			return instance.attach('a b.bin', Buffer.from([1, 2, 3]),
+				'application/octet-stream');
+		}).then(function() {
+			revs.push(instance._rev);
+			revs[1].should.not.equal(revs[0]);
+
+			// saving again keeps the attachment
+			instance.title = 'b';
+			return instance.save();
+		}).then(function() {
+			return model.findOneByID('doc');
+		}).then(function(loaded) {
+			loaded._rev.should.equal(instance._rev);
+			loaded.title.should.equal('b');
+
+			return loaded.getAttachment('a b.bin');
+		}).then(function(data) {
+			Array.prototype.slice.call(data).should.deep.equal([1, 2, 3]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should stream attachments', function(done) {
+		var instance = model.create({ _id: 'doc' });
+		var source = new PassThrough();
+
+		instance.attach('big.txt', source, 'text/plain').then(function() {
+			throw new Error('streams should not be added inline');
+		}, function(error) {
+			error.message.should.match(/Save the instance/);
+
+			return instance.save();
+		}).then(function() {
+			var attached = instance.attach('big.txt', source, 'text/plain');
+
+			source.write('part 1, ');
+			source.end('part 2');
+			return attached;
+		}).then(function() {
+			instance.listAttachments()[0].length.should.equal(14);
+
+			return read(instance.getAttachmentStream('big.txt'));
+		}).then(function(data) {
+			data.toString().should.equal('part 1, part 2');
+
+			return read(model.create({}).getAttachmentStream('missing'));
+		}).then(function() {
+			throw new Error('missing attachments should not be read');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should remove attachments', function(done) {
+		var instance = model.create({ _id: 'doc' });
+		var rev;
+
+		Q.all([
+			instance.attach('a.txt', 'a', 'text/plain'),
+			instance.attach('b.txt', 'b', 'text/plain')
+		]).then(function() {
+			return instance.removeAttachment('b.txt');
+		}).then(function() {
+			return instance.save();
+		}).then(function() {
+			rev = instance._rev;
+			return instance.removeAttachment('a.txt');
+		}).then(function() {
+			instance._rev.should.not.equal(rev);
+			instance.listAttachments().should.deep.equal([]);
+
+			return instance.getAttachment('a.txt');
+		}).then(function() {
+			throw new Error('removed attachments should not be found');
+		}, function(error) {
+			error.status_code.should.equal(404);
+
+			return instance.removeAttachment('a.txt');
+		}).then(function() {
+			throw new Error('missing attachments should not be removed');
+		}, function(error) {
+			error.status_code.should.equal(404);
+
+			return model.findOneByID('doc');
+		}).then(function(loaded) {
+			loaded._rev.should.equal(instance._rev);
+			should.not.exist(loaded._attachments);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,141 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model bulk operations
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model bulk operations', function() {
+	var db = helper.db;
+	var model;
+
+	helper.useDatabase();
+
+	beforeEach(function() {
+		model = couchDBModel(db, {
+			schema: {
+				value: { type: String, required: true }
+			}
+		});
+	});
+
+	it('should save many instances in chunks', function(done) {
+		var instances = [];
+
+		for (var i = 0; i < 5; i++) {
+			instances.push(model.create({ value: 'value ' + i }));
+		}
+
+		model.saveMany(instances, { chunkSize: 2 }).then(function(results) {
+			results.should.have.length(5);
+
+			results.forEach(function(e, i) {
+				e.ok.should.equal(true);
+				e.instance.should.equal(instances[i]);
+				instances[i]._id.should.equal(e.id);
+				instances[i]._rev.should.equal(e.rev);
+			});
+
+			return model.findAll();
+		}).then(function(result) {
+			result.should.have.length(5);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should report failures one by one', function(done) {
+		var existing = model.create({ _id: 'existing', value: 'old' });
+
+		existing.save().then(function() {
+			return model.saveMany([
+				model.create({ _id: 'new', value: 'new' }),
+				model.create({ _id: 'existing', value: 'conflicting' }),
+				model.create({ _id: 'invalid' })
+			]);
+		}).then(function(results) {
+			results[0].ok.should.equal(true);
+
+			results[1].ok.should.equal(false);
+			results[1].id.should.equal('existing');
+			results[1].error.status_code.should.equal(409);
+			results[1].error.error.should.equal('conflict');
+			should.not.exist(results[1].instance._rev);
+
+			results[2].ok.should.equal(false);
+			results[2].error.should.be.an.instanceof(
+				couchDBModel.ValidationError);
+
+			return model.findAll();
+		}).then(function(result) {
+			result.map(function(e) {
+				return e.value;
+			}).should.deep.equal(['old', 'new']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not send anything if all or nothing is requested and ' +
+		'an instance is invalid', function(done) {
+		model.saveMany([
+			model.create({ value: 'valid' }),
+			model.create({})
+		], { allOrNothing: true }, function(error, results) {
+			try {
+				error.should.be.an.instanceof(couchDBModel.ValidationError);
+				error.errors[0].field.should.equal('1.value');
+				should.not.exist(results);
+			} catch (e) {
+				return done(e);
+			}
+
+			model.findAll().then(function(result) {
+				result.should.have.length(0);
+			}).then(function() {
+				done();
+			}, function(error) {
+				done(error);
+			});
+		});
+	});
+
+	it('should delete many instances', function(done) {
+		var instances = [
+			model.create({ value: 'one' }),
+			model.create({ value: 'two' }),
+			model.create({ value: 'three' })
+		];
+		var outdated;
+
+		model.saveMany(instances).then(function() {
+			outdated = model.create(instances[2].toVO());
+			return instances[2].save({ force: true });
+		}).then(function() {
+			return model.deleteMany([instances[0], instances[1], outdated]);
+		}).then(function(results) {
+			results[0].ok.should.equal(true);
+			results[1].ok.should.equal(true);
+			results[2].error.status_code.should.equal(409);
+			should.not.exist(instances[0]._id);
+			should.not.exist(instances[1]._rev);
+
+			return model.findAll();
+		}).then(function(result) {
+			result.should.have.length(1);
+			result[0].value.should.equal('three');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,149 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model conflict handling
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var extend = require('node.extend');
+var Q = require('q');
+
+describe('couchdb-model conflict handling', function() {
+	var db = helper.db;
+	var model, mine, theirs;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db);
+
+		model.create({ _id: 'doc', title: 'original', tags: [] }).
+			save().then(function() {
+			return Q.all([
+				model.findOneByID('doc'),
+				model.findOneByID('doc')
+			]);
+		}).spread(function(first, second) {
+			mine = first;
+			theirs = second;
+
+			theirs.tags = ['theirs'];
+			return theirs.save();
+		}).then(function() {
+			mine.title = 'mine';
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should fail on conflict by default', function(done) {
+		mine.save().then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.status_code.should.equal(409);
+			error.outcome.should.deep.equal({
+				strategy: 'fail',
+				attempts: 1,
+				conflicts: 1,
+				skipped: false
+			});
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should overwrite with the latest revision', function(done) {
+		mine.save({ strategy: 'overwrite' }).then(function(outcome) {
+			outcome.should.deep.equal({
+				strategy: 'overwrite',
+				attempts: 2,
+				conflicts: 1,
+				skipped: false
+			});
+
+			return model.findOneByID('doc');
+		}).then(function(result) {
+			result.title.should.equal('mine');
+			result.tags.should.deep.equal([]);
+			result._rev.should.equal(mine._rev);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should merge with the merge function of the model', function(done) {
+		model = couchDBModel(db, {
+			conflicts: {
+				strategy: 'merge',
+				merge: function(mine, theirs) {
+					return extend(theirs, { title: mine.title });
+				}
+			}
+		});
+
+		model.findOneByID('doc').then(function(result) {
+			result.title = 'merged';
+			return theirs.save({ force: true }).then(function() {
+				return result.save();
+			}).then(function(outcome) {
+				outcome.strategy.should.equal('merge');
+				outcome.attempts.should.equal(2);
+				result.tags.should.deep.equal(['theirs']);
+
+				return model.findOneByID('doc');
+			});
+		}).then(function(result) {
+			result.title.should.equal('merged');
+			result.tags.should.deep.equal(['theirs']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should give up after the given number of retries', function(done) {
+		var merges = 0;
+
+		mine.save({
+			strategy: 'merge',
+			retries: 2,
+			merge: function(mineVO) {
+				merges++;
+				// someone else keeps changing the document
+				return theirs.save({ force: true }).then(function() {
+					return mineVO;
+				});
+			}
+		}).then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.status_code.should.equal(409);
+			error.outcome.should.deep.equal({
+				strategy: 'merge',
+				attempts: 3,
+				conflicts: 3,
+				skipped: false
+			});
+			merges.should.equal(2);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should require a merge function for the merge strategy', function() {
+		(function() {
+			mine.save({ strategy: 'merge' }, function() {});
+		}).should.throw(/merge function/);
+	});
+});
@@ -0,0 +1,185 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model views defined in code
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model design documents', function() {
+	var db = helper.db;
+
+	function createModel(slugMap) {
+		return couchDBModel(db, {
+			type: 'article',
+			views: [
+				{
+					path: '_design/article/_view/by_tag',
+					name: 'by_one_of_the_tags',
+					map: function(doc) {
+						if (Array.isArray(doc.tags)) {
+							doc.tags.forEach(function(e) {
+								emit(e, doc);
+							});
+						}
+					}
+				},
+				{
+					design: 'article',
+					name: 'by_slug',
+					map: slugMap || function(doc) {
+						emit(doc.slug, doc);
+					}
+				},
+				{
+					design: 'stats',
+					name: 'count_by_tag',
+					map: function(doc) {
+						(doc.tags || []).forEach(function(e) {
+							emit(e, 1);
+						});
+					},
+					reduce: '_sum'
+				},
+				// defined elsewhere, not synced
+				'_design/legacy/_view/by_date'
+			]
+		});
+	}
+
+	helper.useDatabase();
+
+	it('should require a path or a design document for views', function() {
+		(function() {
+			couchDBModel(db, { views: [{ name: 'by_date' }] });
+		}).should.throw(Error);
+	});
+
+	it('should create the design documents', function(done) {
+		var model = createModel();
+
+		model.syncDesignDocs().then(function(report) {
+			report.created.sort().should.deep.equal([
+				'_design/article',
+				'_design/couchdb-model',
+				'_design/stats'
+			]);
+			report.updated.should.deep.equal([]);
+			report.unchanged.should.deep.equal([]);
+
+			return Q.ninvoke(db, 'get', '_design/stats');
+		}).spread(function(dd) {
+			dd.views.count_by_tag.reduce.should.equal('_sum');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should only update the changed design documents', function(done) {
+		var extraView = { map: 'function(doc) { emit(doc._id, null); }' };
+
+		Q.ninvoke(db, 'insert', {
+			_id: '_design/article',
+			views: { by_id: extraView }
+		}).then(function() {
+			return createModel().syncDesignDocs();
+		}).then(function(report) {
+			report.updated.should.deep.equal(['_design/article']);
+
+			return createModel().syncDesignDocs();
+		}).then(function(report) {
+			report.unchanged.sort().should.deep.equal([
+				'_design/article',
+				'_design/couchdb-model',
+				'_design/stats'
+			]);
+
+			return createModel(function(doc) {
+				emit(doc.slug.toLowerCase(), doc);
+			}).syncDesignDocs();
+		}).then(function(report) {
+			// the generated count view of by_slug is updated too
+			report.updated.sort().should.deep.equal([
+				'_design/article',
+				'_design/couchdb-model'
+			]);
+			report.unchanged.should.deep.equal(['_design/stats']);
+
+			return Q.ninvoke(db, 'get', '_design/article');
+		}).spread(function(dd) {
+			// views which are not defined in the model are kept
+			dd.views.by_id.should.deep.equal(extraView);
+			dd.views.by_slug.map.should.contain('toLowerCase');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should generate finders for views defined in code', function(done) {
+		var model = createModel();
+
+		model.syncDesignDocs().then(function() {
+			return Q.all([
+				model.create({ slug: 'one', tags: ['odd'] }).save(),
+				model.create({ slug: 'two', tags: ['even'] }).save()
+			]);
+		}).then(function() {
+			return Q.all([
+				model.findOneBySlug('two'),
+				model.findManyByOneOfTheTags('odd')
+			]);
+		}).spread(function(oneBySlug, manyByTags) {
+			oneBySlug.tags.should.deep.equal(['even']);
+			manyByTags.should.have.length(1);
+			manyByTags[0].slug.should.equal('one');
+			model.findManyByDate.should.be.a('function');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not create generated views when reading', function(done) {
+		var model = couchDBModel(db, { type: 'article', softDelete: true });
+
+		Q.allSettled([
+			model.findAll(),
+			model.count(),
+			model.findDeleted(),
+			model.findConflicted()
+		]).then(function(results) {
+			results.forEach(function(result) {
+				result.state.should.equal('rejected');
+				result.reason.status_code.should.equal(404);
+				result.reason.message.should.contain('syncDesignDocs');
+			});
+
+			return Q.ninvoke(db, 'get', '_design/couchdb-model');
+		}).then(function() {
+			throw new Error('the design document should not be created');
+		}, function(error) {
+			error.status_code.should.equal(404);
+
+			return model.syncDesignDocs();
+		}).then(function() {
+			return Q.all([model.findAll(), model.count(), 
+				model.findConflicted()]);
+		}).spread(function(all, count, conflicted) {
+			all.should.deep.equal([]);
+			count.should.equal(0);
+			conflicted.should.deep.equal([]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
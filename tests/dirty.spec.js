@@ -0,0 +1,115 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model dirty tracking
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model dirty tracking', function() {
+	var db = helper.db;
+	var model;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db);
+
+		model.create({
+			_id: 'doc',
+			title: 'title',
+			author: { name: 'someone' }
+		}).save().then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should treat new instances as dirty', function() {
+		var instance = model.create({ title: 'title' });
+
+		instance.isDirty().should.equal(true);
+		instance.changedFields().should.deep.equal(['title']);
+		should.not.exist(instance.getOriginal('title'));
+	});
+
+	it('should track changes of loaded instances', function(done) {
+		model.findOneByID('doc').then(function(instance) {
+			instance.isDirty().should.equal(false);
+			instance.changedFields().should.deep.equal([]);
+
+			instance.author.name = 'someone else';
+			instance.tags = ['new'];
+			delete instance.title;
+
+			instance.isDirty().should.equal(true);
+			instance.changedFields().should.deep.equal([
+				'author', 'tags', 'title'
+			]);
+			instance.getOriginal('title').should.equal('title');
+			instance.getOriginal('author.name').should.equal('someone');
+
+			instance.revert();
+
+			instance.isDirty().should.equal(false);
+			instance.title.should.equal('title');
+			instance.author.name.should.equal('someone');
+			instance.should.not.have.property('tags');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should never persist the tracking state', function(done) {
+		model.findOneByID('doc').then(function(instance) {
+			instance.title = 'changed';
+			instance.toVO().should.not.have.property('_original');
+			return instance.save();
+		}).then(function() {
+			return Q.ninvoke(db, 'get', 'doc');
+		}).spread(function(doc) {
+			doc.should.not.have.property('_original');
+			doc.title.should.equal('changed');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should skip saving unchanged instances', function(done) {
+		var instance, rev;
+
+		model.findOneByID('doc').then(function(result) {
+			instance = result;
+			rev = instance._rev;
+			return instance.save();
+		}).then(function(outcome) {
+			outcome.skipped.should.equal(true);
+			outcome.attempts.should.equal(0);
+			instance._rev.should.equal(rev);
+
+			instance.title = 'changed';
+			return instance.save();
+		}).then(function(outcome) {
+			outcome.skipped.should.equal(false);
+			instance.isDirty().should.equal(false);
+			instance.getOriginal('title').should.equal('changed');
+
+			return instance.save({ force: true });
+		}).then(function(outcome) {
+			outcome.skipped.should.equal(false);
+			instance._rev.should.match(/^3-/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
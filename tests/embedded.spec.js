@@ -0,0 +1,127 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model embedded objects
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+function Address() {
+	this._formatted = null;
+}
+
+Address.prototype.format = function() {
+	return this.street + ', ' + this.city;
+};
+
+function Comment() {}
+
+Comment.prototype.shout = function() {
+	return this.text.toUpperCase() + '!';
+};
+
+Comment.prototype.validate = function() {
+	if (!this.text) {
+		return { field: 'text', message: 'is required', code: 'required' };
+	}
+};
+
+function Person() {}
+
+Person.prototype.initials = function() {
+	return this.name.split(' ').map(function(e) {
+		return e[0];
+	}).join('');
+};
+
+describe('couchdb-model embedded objects', function() {
+	var db = helper.db;
+	var model;
+
+	helper.useDatabase();
+
+	beforeEach(function() {
+		model = couchDBModel(db, {
+			embedded: {
+				address: Address,
+				'comments[]': Comment,
+				'comments[].author': Person
+			}
+		});
+	});
+
+	it('should create embedded objects', function(done) {
+		var data = {
+			_id: 'doc',
+			address: { street: 'Main St 1', city: 'Springfield' },
+			comments: [
+				{ text: 'hi', author: { name: 'Jane Doe' } },
+				{ text: 'anonymous' }
+			]
+		};
+		var instance = model.create(data);
+
+		instance.address.should.be.an.instanceof(Address);
+		instance.address.format().should.equal('Main St 1, Springfield');
+		instance.comments[0].shout().should.equal('HI!');
+		instance.comments[0].author.initials().should.equal('JD');
+		data.comments[0].should.not.be.an.instanceof(Comment);
+
+		instance.toVO().should.deep.equal(data);
+
+		instance.save().then(function() {
+			return Q.ninvoke(db, 'get', 'doc');
+		}).spread(function(doc) {
+			should.not.exist(doc.address._formatted);
+			doc.comments[0].author.should.deep.equal({ name: 'Jane Doe' });
+
+			return model.findOneByID('doc');
+		}).then(function(loaded) {
+			loaded.address.format().should.equal('Main St 1, Springfield');
+			loaded.comments[1].should.be.an.instanceof(Comment);
+			should.not.exist(loaded.comments[1].author);
+			loaded.isDirty().should.equal(false);
+
+			loaded.comments[1].text = 'changed';
+			loaded.changedFields().should.deep.equal(['comments']);
+
+			loaded.revert();
+			loaded.comments[1].text.should.equal('anonymous');
+			loaded.comments[1].shout().should.equal('ANONYMOUS!');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should validate embedded objects', function(done) {
+		var instance = model.create({
+			comments: [{ text: 'ok' }, { text: '' }]
+		});
+
+		instance.comments.push({ author: { name: 'Plain Object' } });
+
+		instance.save().then(function() {
+			throw new Error('invalid comments should not be saved');
+		}, function(error) {
+			error.should.be.an.instanceof(couchDBModel.ValidationError);
+			error.errors.map(function(e) {
+				return e.field;
+			}).should.deep.equal(['comments.1.text', 'comments.2.text']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should refuse invalid constructors', function() {
+		(function() {
+			couchDBModel(db, { embedded: { address: {} } });
+		}).should.throw(/address/);
+	});
+});
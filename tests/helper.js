@@ -0,0 +1,74 @@
+/* global beforeEach, afterEach */
+
+/**
+ * Shared setup of the unit tests: the CouchDB server in $COUCHDB_BASE_URL,
+ * and the test database, named $COUCHDB_DB_NAME or 'couchdb-model-test'
+ */
+
+var createNano = require('nano');
+var httpMocks = require('node-mocks-http');
+var Q = require('q');
+
+var COUCHDB_BASE_URL = process.env.COUCHDB_BASE_URL;
+if (!COUCHDB_BASE_URL) {
+	throw new Error(
+		'$COUCHDB_BASE_URL environment variable is not set. ' +
+		'Please provide a working couchdb base URL to run the tests.');
+}
+
+var COUCHDB_DB_NAME = process.env.COUCHDB_DB_NAME || 'couchdb-model-test';
+
+var nano = createNano(COUCHDB_BASE_URL);
+
+exports.baseURL = COUCHDB_BASE_URL;
+exports.dbName = COUCHDB_DB_NAME;
+exports.nano = nano;
+exports.db = nano.use(COUCHDB_DB_NAME);
+
+/**
+ * Create an empty test database before each test of the current suite,
+ * and destroy it after each test. Call it in a `describe` block before the
+ * suite's own `beforeEach`, so the database exists when it runs.
+ */
+exports.useDatabase = function() {
+	beforeEach(function(done) {
+		nano.db.destroy(COUCHDB_DB_NAME, function() {
+			nano.db.create(COUCHDB_DB_NAME, function(error) {
+				done(error);
+			});
+		});
+	});
+
+	afterEach(function(done) {
+		nano.db.destroy(COUCHDB_DB_NAME, function(error) {
+			done(error);
+		});
+	});
+};
+
+/**
+ * Send a request to the REST API of a model
+ * @param {Model} model
+ * @param {string} method
+ * @param {string} url
+ * @param {object} [body] sent as JSON
+ * @returns {Promise} fulfilled with the response
+ */
+exports.send = function(model, method, url, body) {
+	var deferred = Q.defer();
+	var request = httpMocks.createRequest({
+		method: method,
+		url: url,
+		body: body && JSON.stringify(body)
+	});
+	var response = httpMocks.createResponse();
+	var end = response.end;
+
+	response.end = function() {
+		end.apply(this, arguments);
+		deferred.resolve(response);
+	};
+
+	model.onRequest(request, response, null, true);
+	return deferred.promise;
+};
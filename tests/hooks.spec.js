@@ -0,0 +1,259 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model lifecycle hooks
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model hooks', function() {
+	var db = helper.db;
+
+	helper.useDatabase();
+
+	it('should throw on an unknown event', function() {
+		(function() {
+			couchDBModel(db, { hooks: { beforeLoad: function() {} } });
+		}).should.throw(/beforeLoad/);
+	});
+
+	it('should call save and delete hooks in order', function(done) {
+		var calls = [];
+		var model = couchDBModel(db, {
+			hooks: {
+				beforeSave: [function(instance) {
+					calls.push('beforeSave 1');
+					return Q.delay(10).then(function() {
+						instance.slug = instance.title.toLowerCase();
+					});
+				}, function() {
+					calls.push('beforeSave 2 ' + this.slug);
+				}],
+				afterSave: function(instance) {
+					calls.push('afterSave ' + instance._id + ' ' +
+						!!instance._rev);
+				}
+			}
+		});
+
+		model.addHook('beforeDelete', function(instance) {
+			calls.push('beforeDelete ' + instance._id);
+		});
+		model.addHook('afterDelete', function(instance) {
+			calls.push('afterDelete ' + instance._id);
+		});
+
+		var instance = model.create({ _id: 'doc', title: 'Title' });
+
+		instance.save().then(function() {
+			return Q.ninvoke(db, 'get', 'doc');
+		}).spread(function(doc) {
+			doc.slug.should.equal('title');
+			return instance.delete();
+		}).then(function() {
+			calls.should.deep.equal([
+				'beforeSave 1',
+				'beforeSave 2 title',
+				'afterSave doc true',
+				'beforeDelete doc',
+				'afterDelete doc'
+			]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should abort saving and deleting when a hook fails', function(done) {
+		var model = couchDBModel(db, {
+			hooks: {
+				beforeSave: function(instance) {
+					if (instance.locked) throw new Error('locked');
+				},
+				beforeDelete: function() {
+					return Q.reject(new Error('not allowed'));
+				}
+			}
+		});
+
+		model.create({ _id: 'locked', locked: true }).save().then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.message.should.equal('locked');
+
+			return Q.ninvoke(db, 'get', 'locked').then(function() {
+				throw new Error('document should not have been saved');
+			}, function(error) {
+				error.status_code.should.equal(404);
+			});
+		}).then(function() {
+			var instance = model.create({ _id: 'doc' });
+
+			return model.save(instance).then(function() {
+				return model.delete(instance);
+			}).then(function() {
+				throw new Error('success branch should not have been called');
+			}, function(error) {
+				error.message.should.equal('not allowed');
+				return Q.ninvoke(db, 'get', 'doc');
+			});
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should call afterCreate and afterLoad hooks', function(done) {
+		var model = couchDBModel(db, {
+			views: [{
+				path: '_design/test/_view/by_title',
+				map: function(doc) {
+					emit(doc.title, doc);
+				}
+			}],
+			hooks: {
+				afterCreate: function(instance) {
+					instance.created = true;
+				},
+				afterLoad: function(instance) {
+					return Q.delay(10).then(function() {
+						instance.loaded = true;
+					});
+				}
+			}
+		});
+
+		var instance = model.create({ _id: 'doc', title: 'title' });
+
+		instance.created.should.equal(true);
+		should.not.exist(instance.loaded);
+
+		model.syncDesignDocs().then(function() {
+			return instance.save();
+		}).then(function() {
+			return Q.all([
+				model.findOneByID('doc'),
+				model.findAll(),
+				model.findOneByTitle('title'),
+				model.findManyByTitle('title')
+			]);
+		}).spread(function(byID, all, one, many) {
+			[byID, all[0], one, many[0]].forEach(function(e) {
+				e.loaded.should.equal(true);
+				e.isDirty().should.equal(false);
+			});
+
+			all.length.should.equal(1);
+			many.length.should.equal(1);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should give the error of a failing afterLoad hook', function(done) {
+		var model = couchDBModel(db, {
+			hooks: {
+				afterLoad: function() {
+					throw new Error('corrupt');
+				}
+			}
+		});
+
+		model.create({ _id: 'doc' }).save().then(function() {
+			return model.findOneByID('doc');
+		}).then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.message.should.equal('corrupt');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should call hooks for bulk operations', function(done) {
+		var saved = [];
+		var deleted = [];
+		var model = couchDBModel(db, {
+			hooks: {
+				beforeSave: function(instance) {
+					if (instance.locked) throw new Error('locked');
+				},
+				afterSave: function(instance) {
+					saved.push(instance._id);
+				},
+				beforeDelete: function(instance) {
+					if (instance.keep) throw new Error('keep');
+				},
+				afterDelete: function(instance) {
+					deleted.push(instance._id);
+				}
+			}
+		});
+
+		var instances = [
+			model.create({ _id: 'a' }),
+			model.create({ _id: 'b', locked: true }),
+			model.create({ _id: 'c', keep: true })
+		];
+
+		model.saveMany(instances).then(function(results) {
+			results.map(function(e) {
+				return e.ok;
+			}).should.deep.equal([true, false, true]);
+			results[1].error.message.should.equal('locked');
+			saved.should.deep.equal(['a', 'c']);
+
+			return model.deleteMany([instances[0], instances[2]]);
+		}).then(function(results) {
+			results.map(function(e) {
+				return e.ok;
+			}).should.deep.equal([true, false]);
+			results[1].error.message.should.equal('keep');
+			deleted.should.deep.equal(['a']);
+			should.not.exist(instances[0]._id);
+			instances[2]._id.should.equal('c');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should call hooks for REST API saves', function(done) {
+		var model = couchDBModel(db, {
+			restapi: { save: true },
+			hooks: {
+				beforeSave: function(instance) {
+					if (!instance.title) throw new Error('no title');
+					instance.title = instance.title.trim();
+				}
+			}
+		});
+
+		helper.send(model, 'POST', '/', {
+			_id: 'doc',
+			title: ' title '
+		}).then(function(response) {
+			response.statusCode.should.equal(200);
+			return model.findOneByID('doc');
+		}).then(function(result) {
+			result.title.should.equal('title');
+			return helper.send(model, 'POST', '/', { _id: 'other' });
+		}).then(function(response) {
+			response.statusCode.should.equal(500);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,182 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model views queried with include_docs
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model include_docs', function() {
+	var db = helper.db;
+	var registry, articles, comments;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		registry = new couchDBModel.Registry();
+
+		articles = couchDBModel(db, {
+			type: 'article',
+			registry: registry,
+			views: [{
+				design: 'blog',
+				name: 'by_title',
+				map: function(doc) {
+					if (doc.type === 'article') emit(doc.title, null);
+				},
+				includeDocs: true
+			}]
+		});
+
+		comments = couchDBModel(db, {
+			type: 'comment',
+			registry: registry,
+			views: [{
+				design: 'blog',
+				name: 'with_article',
+				map: function(doc) {
+					if (doc.type === 'comment') {
+						emit([doc.article, 0], { _id: doc.article });
+						emit([doc.article, 1], null);
+					}
+				}
+			}]
+		});
+
+		Q.all([
+			articles.syncDesignDocs(),
+			articles.saveMany([
+				articles.create({ _id: 'a1', title: 'first' }),
+				articles.create({ _id: 'a2', title: 'second' })
+			]),
+			comments.saveMany([
+				comments.create({ _id: 'c1', article: 'a1', text: 'hi' }),
+				comments.create({ _id: 'c2', article: 'gone', text: 'x' })
+			])
+		]).then(function() {
+			return comments.syncDesignDocs();
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should load documents for views with includeDocs', function(done) {
+		Q.all([
+			articles.findManyByTitle('first', 'second'),
+			articles.findOneByTitle('second'),
+			articles.paginate('by_title', {}, { pageSize: 1 })
+		]).spread(function(many, one, page) {
+			many.map(function(e) {
+				return e.title;
+			}).should.deep.equal(['first', 'second']);
+			one._id.should.equal('a2');
+			page.results[0].title.should.equal('first');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should accept includeDocs for each call', function(done) {
+		articles.findManyByView('_design/blog/_view/by_title', {
+			key: 'first',
+			includeDocs: true
+		}).then(function(results) {
+			results.length.should.equal(1);
+			results[0].title.should.equal('first');
+			results[0].isDirty().should.equal(false);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should give rows with keys and values', function(done) {
+		articles.findRowsByView('_design/blog/_view/by_title', {
+			include_docs: true
+		}).then(function(rows) {
+			rows.map(function(e) {
+				return [e.id, e.key, e.value, e.instance.title];
+			}).should.deep.equal([
+				['a1', 'first', null, 'first'],
+				['a2', 'second', null, 'second']
+			]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should load linked documents with their own model', function(done) {
+		comments.findRowsByView('_design/blog/_view/with_article', {
+			includeDocs: true
+		}).then(function(rows) {
+			rows.map(function(e) {
+				return [e.id, e.key, e.instance._id];
+			}).should.deep.equal([
+				['c1', ['a1', 0], 'a1'],
+				['c1', ['a1', 1], 'c1'],
+				['c2', ['gone', 1], 'c2']
+			]);
+
+			rows[0].instance._model.should.equal(articles);
+			rows[0].instance.title.should.equal('first');
+			rows[1].instance._model.should.equal(comments);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should read include_docs from REST queries', function(done) {
+		var model = couchDBModel(db, {
+			type: 'article',
+			views: [{
+				design: 'articles',
+				name: 'by_title',
+				map: function(doc) {
+					emit(doc.title, { _id: doc._id, type: doc.type,
+						title: 'from value' });
+				}
+			}],
+			restapi: { views: { byTitle: true } }
+		});
+
+		function get(url) {
+			return helper.send(model, 'GET', url).then(function(response) {
+				return JSON.parse(response._getData());
+			});
+		}
+
+		function titles(result) {
+			return result.map(function(e) {
+				return e.title;
+			});
+		}
+
+		model.syncDesignDocs().then(function() {
+			return Q.all([
+				get('/by_title/?include_docs=false&key=%22first%22'),
+				get('/by_title/?include_docs=true&key=%22first%22'),
+				get('/by_title/?include_docs=true&startkey=second')
+			]);
+		}).spread(function(values, docs, unquoted) {
+			titles(values).should.deep.equal(['from value']);
+			titles(docs).should.deep.equal(['first']);
+			titles(unquoted).should.deep.equal(['second']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,162 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model Mango queries
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model Mango queries', function() {
+	var db = helper.db;
+	var model;
+
+	function numbers(result) {
+		return result.results.map(function(e) {
+			return e.n;
+		});
+	}
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, {
+			type: 'number',
+			indexes: [['n'], { fields: ['type', 'n'], name: 'by-type-n' }]
+		});
+
+		model.saveMany([1, 2, 3, 4, 5, 6].map(function(n) {
+			return model.create({
+				_id: 'n' + n,
+				n: n,
+				tags: [n % 2 ? 'odd' : 'even']
+			});
+		})).then(function() {
+			return Q.ninvoke(db, 'insert', { _id: 'x', n: 2 });
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should create the declared indexes', function(done) {
+		model.ensureIndex().then(function(results) {
+			results.map(function(e) {
+				return e.result;
+			}).should.deep.equal(['created', 'created']);
+			results[1].name.should.equal('by-type-n');
+
+			return model.ensureIndex(['n']);
+		}).then(function(results) {
+			results[0].result.should.equal('exists');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should find instances of its own type', function(done) {
+		model.ensureIndex().then(function() {
+			return model.find({ n: { $gte: 2 } }, {
+				sort: [{ n: 'desc' }],
+				limit: 3
+			});
+		}).then(function(result) {
+			numbers(result).should.deep.equal([6, 5, 4]);
+			result.results[0].should.be.an.instanceof(couchDBModel.Instance);
+			result.results[0].isDirty().should.equal(false);
+
+			return model.find({ n: 2 });
+		}).then(function(result) {
+			result.results.map(function(e) {
+				return e._id;
+			}).should.deep.equal(['n2']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should load only the requested fields', function(done) {
+		model.find({ n: 1 }, { fields: ['_id', 'n'] }, function(error, result) {
+			if (error) return done(error);
+
+			result.results[0].toVO().should.deep.equal({ _id: 'n1', n: 1 });
+			done();
+		});
+	});
+
+	it('should send requests with the server handle of the model',
+		function(done) {
+		var paths = [];
+		var server = Object.create(helper.nano);
+		var handleModel = couchDBModel(db, { type: 'number', server: server });
+		var urlModel = couchDBModel(helper.baseURL + helper.dbName, {
+			type: 'number',
+			shareConnection: false
+		});
+
+		// record the requests, the URL model has its own server handle
+		[server, urlModel._server].forEach(function(nano, i) {
+			var relax = nano.relax;
+
+			nano.relax = function(options, callback) {
+				paths.push(i + options.path);
+				return relax.call(this, options, callback);
+			};
+		});
+
+		Q.all([
+			handleModel.find({ n: 1 }),
+			urlModel.find({ n: 2 })
+		]).spread(function(one, two) {
+			numbers(one).should.deep.equal([1]);
+			numbers(two).should.deep.equal([2]);
+			paths.sort().should.deep.equal(['0_find', '1_find']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should build queries', function(done) {
+		var query = model.query().where('tags').contains('even').
+			where('n').gt(2).lte(6).sort('-n').limit(2);
+
+		query.selector().should.deep.equal({
+			tags: { $elemMatch: { $eq: 'even' } },
+			n: { $gt: 2, $lte: 6 }
+		});
+
+		model.ensureIndex().then(function() {
+			return query;
+		}).then(function(result) {
+			numbers(result).should.deep.equal([6, 4]);
+
+			return model.query().where('n', 3).exec();
+		}).then(function(result) {
+			numbers(result).should.deep.equal([3]);
+
+			return model.query().where({ n: { $in: [1, 5] } }).
+				where('_id').matches(/^n/).sort('n').exec();
+		}).then(function(result) {
+			numbers(result).should.deep.equal([1, 5]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should require a field for conditions', function() {
+		(function() {
+			model.query().gt(1);
+		}).should.throw(/where/);
+	});
+});
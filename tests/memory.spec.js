@@ -0,0 +1,507 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for the in-memory database. They don't need CouchDB.
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var Q = require('q');
+
+describe('couchdb-model in-memory database', function() {
+	var db, model, watcher;
+
+	function ids(instances) {
+		return instances.map(function(e) {
+			return e._id;
+		});
+	}
+
+	beforeEach(function(done) {
+		db = couchDBModel.memoryDb();
+		watcher = null;
+		model = couchDBModel(db, {
+			type: 'article',
+			views: [{
+				design: 'articles',
+				name: 'by_date',
+				map: function(doc) {
+					if (doc.type === 'article') emit(doc.date, null);
+				},
+				includeDocs: true
+			}, {
+				design: 'articles',
+				name: 'count_by_tag',
+				map: function(doc) {
+					(doc.tags || []).forEach(function(tag) {
+						emit([tag, doc.date], 1);
+					});
+				},
+				reduce: '_count'
+			}]
+		});
+
+		Q.all([
+			model.syncDesignDocs(),
+			model.saveMany([
+				{ _id: 'a1', date: '2014-01-02', tags: ['js', 'couchdb'] },
+				{ _id: 'a2', date: '2014-03-04', tags: ['js'] },
+				{ _id: 'a3', date: '2015-05-06', tags: [] }
+			].map(function(data) {
+				return model.create(data);
+			}))
+		]).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	afterEach(function(done) {
+		(watcher ? watcher.stop() : Q()).then(function() {
+			done();
+		});
+	});
+
+	it('should save, update and delete documents', function(done) {
+		var instance = model.create({ _id: 'new', title: 'first' });
+		var stale;
+
+		instance.save().then(function() {
+			instance._rev.should.match(/^1-[0-9a-f]{32}$/);
+			return model.findOneByID('new');
+		}).then(function(loaded) {
+			stale = loaded;
+			loaded.title.should.equal('first');
+
+			instance.title = 'second';
+			return instance.save();
+		}).then(function() {
+			instance._rev.should.match(/^2-/);
+
+			stale.title = 'conflicting';
+			return stale.save();
+		}).then(function() {
+			throw new Error('stale instances should not be saved');
+		}, function(error) {
+			error.status_code.should.equal(409);
+			error.error.should.equal('conflict');
+
+			return instance.getRevisions();
+		}).then(function(revisions) {
+			revisions.length.should.equal(2);
+			return instance.delete();
+		}).then(function() {
+			return model.findOneByID('new');
+		}).then(function() {
+			throw new Error('deleted documents should not be found');
+		}, function(error) {
+			error.status_code.should.equal(404);
+			error.reason.should.equal('deleted');
+
+			return Q.all([model.exists('new'), model.exists('a1'),
+				model.count()]);
+		}).spread(function(deleted, existing, count) {
+			deleted.should.equal(false);
+			existing.should.equal(true);
+			count.should.equal(3);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should query views', function(done) {
+		Q.all([
+			model.findManyByDate('2014', '2014￰'),
+			model.findManyByDate(null, { descending: true, limit: 2 }),
+			model.findOneByDate('2015-05-06'),
+			model.reduceCountByTag({ group_level: 1 }),
+			model.reduceCountByTag({ startkey: ['js'], endkey: ['js', {}] }),
+			model.countByDate({ startkey: '2014-02' })
+		]).spread(function(from2014, latest, one, tags, js, count) {
+			ids(from2014).should.deep.equal(['a1', 'a2']);
+			ids(latest).should.deep.equal(['a3', 'a2']);
+			one._id.should.equal('a3');
+			tags.should.deep.equal([
+				{ key: ['couchdb'], value: 1 },
+				{ key: ['js'], value: 2 }
+			]);
+			js.should.deep.equal([{ key: null, value: 2 }]);
+			count.should.equal(2);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should page through all documents', function(done) {
+		model.findAll({ pageSize: 2 }).then(function(page) {
+			ids(page.results).should.deep.equal(['a1', 'a2']);
+			page.total.should.equal(3);
+
+			return model.findAll({ pageSize: 2, cursor: page.next });
+		}).then(function(page) {
+			ids(page.results).should.deep.equal(['a3']);
+			should.not.exist(page.next);
+
+			return model.findAll({ pageSize: 2, cursor: page.prev });
+		}).then(function(page) {
+			ids(page.results).should.deep.equal(['a1', 'a2']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should write and fetch many documents', function(done) {
+		model.findAll().then(function(instances) {
+			instances[0]._rev = '1-stale';
+			return model.deleteMany(instances);
+		}).then(function(results) {
+			results[0].ok.should.equal(false);
+			results[0].error.status_code.should.equal(409);
+			results[1].ok.should.equal(true);
+
+			return Q.ninvoke(db, 'fetch', { keys: ['a1', 'a2', 'missing'] });
+		}).spread(function(body) {
+			body.rows[0].doc._id.should.equal('a1');
+			body.rows[1].value.deleted.should.equal(true);
+			should.not.exist(body.rows[1].doc);
+			body.rows[2].error.should.equal('not_found');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should keep conflicting revisions', function(done) {
+		Q.ninvoke(db, 'bulk', { new_edits: false, docs: [
+			{ _id: 'c1', _rev: '1-bbb', type: 'article', title: 'b' },
+			{ _id: 'c1', _rev: '1-aaa', type: 'article', title: 'a' }
+		] }).then(function() {
+			return Q.all([
+				Q.ninvoke(db, 'get', 'c1', { conflicts: true }),
+				Q.ninvoke(db, 'get', 'c1', { rev: '1-aaa' }),
+				model.findConflicted()
+			]);
+		}).spread(function(winner, conflict, conflicted) {
+			winner[0]._rev.should.equal('1-bbb');
+			winner[0]._conflicts.should.deep.equal(['1-aaa']);
+			conflict[0].title.should.equal('a');
+			ids(conflicted).should.deep.equal(['c1']);
+
+			return conflicted[0].resolveConflicts(function(winner) {
+				return winner;
+			});
+		}).then(function() {
+			return Q.all([
+				Q.ninvoke(db, 'get', 'c1', { conflicts: true, revs: true }),
+				model.findConflicted()
+			]);
+		}).spread(function(doc, conflicted) {
+			should.not.exist(doc[0]._conflicts);
+			doc[0].title.should.equal('b');
+			doc[0]._revisions.start.should.equal(2);
+			doc[0]._revisions.ids[1].should.equal('bbb');
+			conflicted.should.deep.equal([]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should run Mango queries', function(done) {
+		model.query().where('date').gte('2014-03').sort('-date').
+			then(function(result) {
+			ids(result.results).should.deep.equal(['a3', 'a2']);
+
+			return model.query().where('tags').contains('couchdb').
+				fields(['_id', 'date']);
+		}).then(function(result) {
+			result.results.length.should.equal(1);
+			result.results[0].date.should.equal('2014-01-02');
+			should.not.exist(result.results[0].tags);
+
+			return model.find({}, { limit: 2 });
+		}).then(function(result) {
+			ids(result.results).should.deep.equal(['a1', 'a2']);
+			return model.find({}, { bookmark: result.bookmark });
+		}).then(function(result) {
+			ids(result.results).should.deep.equal(['a3']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should store attachments and follow changes', function(done) {
+		var events = Q.defer();
+		var instance;
+
+		watcher = model.watch({ since: 'now', timeout: 1000 });
+		watcher.on('updated', function(instance) {
+			events.resolve(instance);
+		});
+
+		model.findOneByID('a1').then(function(result) {
+			instance = result;
+			return instance.attach('notes.txt', 'hello', 'text/plain');
+		}).then(function() {
+			return events.promise;
+		}).then(function(updated) {
+			updated._id.should.equal('a1');
+			updated._rev.should.equal(instance._rev);
+
+			return Q.all([
+				model.findOneByID('a1'),
+				instance.getAttachment('notes.txt')
+			]);
+		}).spread(function(loaded, data) {
+			loaded.listAttachments().should.deep.equal([{
+				name: 'notes.txt',
+				contentType: 'text/plain',
+				length: 5,
+				digest: instance._attachments['notes.txt'].digest,
+				pending: false
+			}]);
+			data.toString().should.equal('hello');
+
+			loaded.title = 'saved with the stub';
+			return loaded.save();
+		}).then(function() {
+			return instance.removeAttachment('notes.txt');
+		}).then(function() {
+			throw new Error('stale instances should not be saved');
+		}, function(error) {
+			error.status_code.should.equal(409);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should match Mango operators', function(done) {
+		function found(selector) {
+			return model.find(selector, { sort: ['_id'] }).
+				then(function(result) {
+				return ids(result.results);
+			});
+		}
+
+		Q.all([
+			found({ tags: { $all: ['js', 'couchdb'] } }),
+			found({ tags: { $size: 0 } }),
+			found({ tags: { $elemMatch: { $eq: 'js' } } }),
+			found({ tags: { $in: ['couchdb'] } }),
+			found({ _id: { $nin: ['a1', 'a2'] } }),
+			found({ date: { $regex: '^2014' } }),
+			found({ date: { $not: { $lt: '2015' } } }),
+			found({ $or: [{ _id: 'a1' }, { date: { $gt: '2015' } }] }),
+			found({ title: { $exists: false }, tags: { $type: 'array' } })
+		]).spread(function(all, none, elem, any, nin, regex, not, or, 
+			exists) {
+			all.should.deep.equal(['a1']);
+			none.should.deep.equal(['a3']);
+			elem.should.deep.equal(['a1', 'a2']);
+			any.should.deep.equal(['a1']);
+			nin.should.deep.equal(['a3']);
+			regex.should.deep.equal(['a1', 'a2']);
+			not.should.deep.equal(['a3']);
+			or.should.deep.equal(['a1', 'a3']);
+			exists.should.deep.equal(['a1', 'a2', 'a3']);
+
+			return found({ date: { $unknown: 1 } });
+		}).then(function() {
+			throw new Error('unknown operators should be refused');
+		}, function(error) {
+			error.status_code.should.equal(400);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should store and stream attachments', function(done) {
+		var data = Buffer.from([0, 1, 2, 255]);
+		var rev;
+
+		Q.ninvoke(db.attachment, 'insert', 'files', 'a%20b.bin', data,
+			'application/octet-stream').spread(function(body) {
+			rev = body.rev;
+			return Q.all([
+				Q.ninvoke(db, 'get', 'files'),
+				Q.ninvoke(db, 'get', 'files', { attachments: true }),
+				Q.ninvoke(db.attachment, 'get', 'files', 'a%20b.bin')
+			]);
+		}).spread(function(stub, full, content) {
+			var attachment = stub[0]._attachments['a b.bin'];
+
+			attachment.stub.should.equal(true);
+			attachment.length.should.equal(4);
+			attachment.digest.should.equal('md5-' + require('crypto').
+				createHash('md5').update(data).digest('base64'));
+			full[0]._attachments['a b.bin'].data.should.equal(
+				data.toString('base64'));
+			content[0].should.deep.equal(data);
+
+			return Q.Promise(function(resolve, reject) {
+				var chunks = [];
+
+				db.attachment.get('files', 'a%20b.bin').on('data', 
+					function(chunk) {
+					chunks.push(chunk);
+				}).on('end', function() {
+					resolve(Buffer.concat(chunks));
+				}).on('error', reject);
+			});
+		}).then(function(streamed) {
+			streamed.should.deep.equal(data);
+
+			return Q.ninvoke(db.attachment, 'destroy', 'files', 'a%20b.bin', 
+				'1-stale');
+		}).then(function() {
+			throw new Error('stale revisions should be refused');
+		}, function(error) {
+			error.status_code.should.equal(409);
+
+			return Q.ninvoke(db.attachment, 'destroy', 'files', 'a%20b.bin', 
+				rev);
+		}).then(function() {
+			return Q.ninvoke(db.attachment, 'get', 'files', 'a%20b.bin');
+		}).then(function() {
+			throw new Error('removed attachments should not be found');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should run update handlers', function(done) {
+		Q.ninvoke(db, 'insert', {
+			_id: '_design/app',
+			updates: {
+				touch: 'function(doc, req) {' +
+					'if (!doc) return [null, { code: 404, json: ' +
+						'{ error: "missing" } }];' +
+					'doc.touchedBy = JSON.parse(req.body).by;' +
+					'return [doc, { json: { ok: true, id: req.id } }];' +
+				'}'
+			}
+		}).then(function() {
+			return Q.ninvoke(db, 'atomic', 'app', 'touch', 'a1', 
+				{ by: 'bob' });
+		}).spread(function(body) {
+			body.should.deep.equal({ ok: true, id: 'a1' });
+
+			return Q.all([
+				model.findOneByID('a1'),
+				Q.ninvoke(db, 'atomic', 'app', 'touch', 'missing', {}),
+				model.updateByID('a2', { by: 'alice' }, { 
+					handler: '_design/app/_update/touch' 
+				})
+			]);
+		}).spread(function(a1, missing, a2) {
+			a1.touchedBy.should.equal('bob');
+			a1._rev.should.match(/^2-/);
+			missing[0].should.deep.equal({ error: 'missing' });
+			a2.touchedBy.should.equal('alice');
+
+			return Q.ninvoke(db, 'atomic', 'app', 'unknown', 'a1', {});
+		}).then(function() {
+			throw new Error('missing handlers should not be called');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should reduce with _sum and _stats', function(done) {
+		Q.ninvoke(db, 'insert', {
+			_id: '_design/stats',
+			views: {
+				tags: {
+					map: 'function(doc) { if (doc.tags) { ' +
+						'emit(doc.date.slice(0, 4), doc.tags.length); } }',
+					reduce: '_stats'
+				},
+				totals: {
+					map: 'function(doc) { if (doc.tags) { ' +
+						'emit(doc._id, [1, doc.tags.length]); } }',
+					reduce: '_sum'
+				}
+			}
+		}).then(function() {
+			return Q.all([
+				Q.ninvoke(db, 'view', 'stats', 'tags'),
+				Q.ninvoke(db, 'view', 'stats', 'tags', { group: true }),
+				Q.ninvoke(db, 'view', 'stats', 'totals', { endkey: 'a2' })
+			]);
+		}).spread(function(stats, grouped, totals) {
+			stats[0].rows.should.deep.equal([{ key: null, value: {
+				sum: 3, count: 3, min: 0, max: 2, sumsqr: 5
+			} }]);
+			grouped[0].rows.map(function(e) {
+				return [e.key, e.value.sum];
+			}).should.deep.equal([['2014', 3], ['2015', 0]]);
+			totals[0].rows.should.deep.equal([{ key: null, value: [2, 3] }]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should wait for changes with longpoll', function(done) {
+		var since;
+
+		Q.ninvoke(db, 'insert', {
+			_id: '_design/app',
+			filters: {
+				level: 'function(doc, req) { ' +
+					'return doc.level === req.query.level; }'
+			}
+		}).then(function() {
+			return Q.ninvoke(db, 'changes', { since: 'now', 
+				feed: 'longpoll', timeout: 20 });
+		}).spread(function(body) {
+			// nothing changed before the timeout
+			body.results.should.deep.equal([]);
+			since = body.last_seq;
+
+			setTimeout(function() {
+				db.insert({ _id: 'low', level: 'low' }, function() {
+					db.insert({ _id: 'high', level: 'high' }, function() {});
+				});
+			}, 10);
+
+			return Q.ninvoke(db, 'changes', { since: since, 
+				feed: 'longpoll', filter: 'app/level', level: 'high', 
+				include_docs: true, timeout: 1000 });
+		}).spread(function(body) {
+			body.results.map(function(e) {
+				return e.id;
+			}).should.deep.equal(['high']);
+			body.results[0].doc.level.should.equal('high');
+			body.last_seq.should.equal(since + 2);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,199 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model pagination
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model pagination', function() {
+	var db = helper.db;
+	var model;
+
+	function numbers(page) {
+		return page.results.map(function(e) {
+			return e.n;
+		});
+	}
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, {
+			views: [{
+				path: '_design/test/_view/by_n',
+				map: function(doc) {
+					if (typeof doc.n === 'number') emit(doc.n, doc);
+				}
+			}]
+		});
+
+		model.saveMany([0, 1, 2, 3, 4, 5, 6].map(function(n) {
+			return model.create({ _id: 'doc' + n, n: n });
+		})).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should page through all documents', function(done) {
+		model.findAll({ pageSize: 3 }).then(function(page) {
+			numbers(page).should.deep.equal([0, 1, 2]);
+			page.total.should.equal(7);
+			should.not.exist(page.prev);
+
+			return model.findAll({ pageSize: 3, cursor: page.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([3, 4, 5]);
+			should.exist(page.prev);
+
+			return model.findAll({ pageSize: 3, cursor: page.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([6]);
+			should.not.exist(page.next);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should page back and forth in a view', function(done) {
+		model.syncDesignDocs().then(function() {
+			return model.paginate('by_n', {}, { pageSize: 3 });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([0, 1, 2]);
+			page.results[0].should.be.an.instanceof(couchDBModel.Instance);
+
+			return model.paginate('by_n', {},
+				{ pageSize: 3, cursor: page.next });
+		}).then(function(page) {
+			return model.paginate('by_n', {},
+				{ pageSize: 3, cursor: page.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([6]);
+
+			return model.paginate('by_n', {},
+				{ pageSize: 3, cursor: page.prev });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([3, 4, 5]);
+			should.exist(page.next);
+
+			return model.paginate('by_n', {},
+				{ pageSize: 3, cursor: page.prev });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([0, 1, 2]);
+			should.not.exist(page.prev);
+
+			return model.paginate('by_n', {},
+				{ pageSize: 3, cursor: page.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([3, 4, 5]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should page in descending order within a range', function(done) {
+		var path = '_design/test/_view/by_n';
+		var params = { descending: true, startkey: 5, endkey: 1 };
+
+		model.syncDesignDocs().then(function() {
+			return model.paginate(path, params, { pageSize: 2 });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([5, 4]);
+
+			return model.paginate(path, params,
+				{ pageSize: 2, cursor: page.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([3, 2]);
+
+			return model.paginate(path, params,
+				{ pageSize: 2, cursor: page.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([1]);
+			should.not.exist(page.next);
+
+			return model.paginate(path, params,
+				{ pageSize: 2, cursor: page.prev });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([3, 2]);
+
+			return model.paginate(path, params,
+				{ pageSize: 2, cursor: page.prev });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([5, 4]);
+			should.not.exist(page.prev);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should fill the pages and count the range of a typed model',
+		function(done) {
+		var items = couchDBModel(db, {
+			type: 'item',
+			views: [{
+				path: '_design/items/_view/by_n',
+				map: function(doc) {
+					emit(doc.n, null);
+				},
+				includeDocs: true
+			}]
+		});
+
+		model.syncDesignDocs().then(function() {
+			return items.syncDesignDocs();
+		}).then(function() {
+			return items.saveMany([2, 3, 4, 5].map(function(n) {
+				return items.create({ _id: 'item' + n, n: n });
+			}));
+		}).then(function() {
+			return Q.all([
+				items.findAll({ pageSize: 2 }),
+				items.paginate('by_n', { startkey: 3 }, { pageSize: 2 }),
+				// documents of other types sort first in this view
+				items.paginate('_design/test/_view/by_n', {},
+					{ pageSize: 2 })
+			]);
+		}).spread(function(all, range, other) {
+			numbers(all).should.deep.equal([2, 3]);
+			all.total.should.equal(4);
+			numbers(range).should.deep.equal([3, 4]);
+			range.total.should.equal(3);
+			numbers(other).should.deep.equal([2, 3]);
+			// views of other models aren't counted
+			should.not.exist(other.total);
+
+			return items.paginate('_design/test/_view/by_n', {},
+				{ pageSize: 2, cursor: other.next });
+		}).then(function(page) {
+			numbers(page).should.deep.equal([4, 5]);
+			should.not.exist(page.next);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should refuse an invalid cursor', function(done) {
+		model.findAll({ cursor: 'nonsense' }).then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.message.should.match(/cursor/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
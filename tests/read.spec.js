@@ -0,0 +1,131 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model read helpers
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model read helpers', function() {
+	var db = helper.db;
+	var tasks, notes;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		tasks = couchDBModel(db, {
+			type: 'task',
+			softDelete: true,
+			views: [{
+				design: 'tasks',
+				name: 'by_done',
+				map: function(doc) {
+					emit(doc.done, null);
+				},
+				includeDocs: true
+			}]
+		});
+		notes = couchDBModel(db);
+
+		Q.all([
+			tasks.syncDesignDocs(),
+			tasks.saveMany([1, 2, 3, 4].map(function(n) {
+				return tasks.create({ _id: 't' + n, done: n < 3 });
+			})),
+			Q.ninvoke(db, 'insert', { _id: 'other', done: true })
+		]).then(function() {
+			return tasks.findOneByID('t4');
+		}).then(function(task) {
+			return task.delete();
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should reload instances', function(done) {
+		var task, rev;
+
+		tasks.findOneByID('t1').then(function(result) {
+			task = result;
+			task.done = 'unsaved';
+			task.title = 'unsaved';
+			rev = task._rev;
+
+			return Q.ninvoke(db, 'insert', { _id: 't1', _rev: rev, 
+				type: 'task', done: false, note: 'changed' });
+		}).then(function() {
+			return task.reload();
+		}).then(function() {
+			task.done.should.equal(false);
+			task.note.should.equal('changed');
+			should.not.exist(task.title);
+			task._rev.should.not.equal(rev);
+			task.isDirty().should.equal(false);
+
+			(function() {
+				tasks.create().reload(function() {});
+			}).should.throw(/not saved/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should check if documents exist', function(done) {
+		Q.all([
+			notes.exists('t1'),
+			notes.exists('missing')
+		]).spread(function(t1, missing) {
+			t1.should.equal(true);
+			missing.should.equal(false);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should count documents', function(done) {
+		Q.all([
+			tasks.count(),
+			notes.count(),
+			tasks.countByDone(),
+			tasks.countByDone({ key: true }),
+			tasks.countByDone({ key: false, withDeleted: true }),
+			tasks.countByDone({ skip: 1, limit: 1 }),
+			tasks.countByDone({ skip: 1 })
+		]).spread(function(all, untyped, byDone, finished, unfinished, 
+			limited, skipped) {
+			all.should.equal(3);
+			untyped.should.equal(5);
+			byDone.should.equal(3);
+			finished.should.equal(2);
+			unfinished.should.equal(2);
+			limited.should.equal(1);
+			skipped.should.equal(2);
+
+			// views which aren't defined for the model have no count view
+			return notes.countByView('_design/tasks/_view/by_done');
+		}).then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.message.should.match(/map function/);
+
+			return Q.ninvoke(db, 'get', '_design/couchdb-model');
+		}).spread(function(dd) {
+			// counted by reducing the generated views
+			dd.views.count_tasks_by_done.reduce.should.equal('_count');
+			dd.views.by_type_and_deletedAt.reduce.should.equal('_count');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
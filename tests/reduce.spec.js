@@ -0,0 +1,129 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model reduce views
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model reduce views', function() {
+	var db = helper.db;
+	var model;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, {
+			views: [{
+				design: 'stats',
+				name: 'count_by_tag',
+				map: function(doc) {
+					(doc.tags || []).forEach(function(e) {
+						emit(e, 1);
+					});
+				},
+				reduce: '_count'
+			}, {
+				design: 'stats',
+				name: 'views_by_date',
+				map: function(doc) {
+					emit(doc.date, doc.views);
+				},
+				reduce: function(keys, values) {
+					return values.reduce(function(a, b) {
+						return a + b;
+					}, 0);
+				}
+			}, {
+				path: '_design/stats/_view/count_by_tag',
+				name: 'existing_count_by_tag',
+				reduce: true
+			}]
+		});
+
+		model.saveMany([
+			{ tags: ['a', 'b'], date: [2014, 1, 5], views: 1 },
+			{ tags: ['a'], date: [2014, 1, 20], views: 2 },
+			{ tags: ['b', 'c'], date: [2014, 2, 3], views: 4 },
+			{ tags: ['a'], date: [2015, 1, 1], views: 8 }
+		].map(function(e) {
+			return model.create(e);
+		})).then(function() {
+			return model.syncDesignDocs();
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not create instance finders for reduce views', function() {
+		should.not.exist(model.findOneCountByTag);
+		should.not.exist(model.findManyCountByTag);
+		should.not.exist(model.findManyExistingCountByTag);
+		model.reduceCountByTag.should.be.a('function');
+		model.reduceExistingCountByTag.should.be.a('function');
+	});
+
+	it('should reduce a whole view', function(done) {
+		model.reduceCountByTag().then(function(rows) {
+			rows.should.deep.equal([{ key: null, value: 6 }]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should group the results', function(done) {
+		model.reduceExistingCountByTag({ group: true },
+			function(error, rows) {
+			if (error) return done(error);
+
+			rows.should.deep.equal([
+				{ key: 'a', value: 3 },
+				{ key: 'b', value: 2 },
+				{ key: 'c', value: 1 }
+			]);
+			done();
+		});
+	});
+
+	it('should support group levels and key ranges', function(done) {
+		Q.all([
+			model.reduceViewsByDate({ group_level: 1 }),
+			model.reduceViewsByDate({ group_level: 2, startkey: [2014, 1],
+				endkey: [2014, 12] }),
+			model.reduceByView('_design/stats/_view/count_by_tag',
+				{ startkey: 'b', endkey: 'c' })
+		]).spread(function(years, months, range) {
+			years.should.deep.equal([
+				{ key: [2014], value: 7 },
+				{ key: [2015], value: 8 }
+			]);
+			months.should.deep.equal([
+				{ key: [2014, 1], value: 3 },
+				{ key: [2014, 2], value: 4 }
+			]);
+			range.should.deep.equal([{ key: null, value: 3 }]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not store a reduce function for views marked with true',
+		function(done) {
+		Q.ninvoke(db, 'get', '_design/stats').spread(function(dd) {
+			dd.views.count_by_tag.reduce.should.equal('_count');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
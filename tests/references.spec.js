@@ -0,0 +1,142 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model references
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model references', function() {
+	var db = helper.db;
+	var registry, authors, tags, articles;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		registry = new couchDBModel.Registry();
+		authors = couchDBModel(db, { type: 'author', registry: registry });
+		tags = couchDBModel(db, { type: 'tag' });
+		articles = couchDBModel(db, {
+			type: 'article',
+			registry: registry,
+			schema: {
+				title: String,
+				author: { type: String, ref: 'author' },
+				tags: [{ type: String, ref: tags }]
+			}
+		});
+
+		Q.all([
+			authors.create({ _id: 'alice', name: 'Alice' }).save(),
+			authors.create({ _id: 'bob', name: 'Bob' }).save(),
+			tags.create({ _id: 'js', label: 'JavaScript' }).save(),
+			articles.create({
+				_id: 'a1',
+				title: 'first',
+				author: 'alice',
+				tags: ['js', 'missing']
+			}).save(),
+			articles.create({
+				_id: 'a2',
+				title: 'second',
+				author: 'bob',
+				tags: []
+			}).save()
+		]).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should populate references of an instance', function(done) {
+		articles.findOneByID('a1').then(function(article) {
+			return article.populate(['author', 'tags']);
+		}).then(function(article) {
+			article.author.should.be.an.instanceof(couchDBModel.Instance);
+			article.author._model.should.equal(authors);
+			article.author.name.should.equal('Alice');
+			article.tags[0].label.should.equal('JavaScript');
+			article.tags[1].should.equal('missing');
+			article.isDirty().should.equal(false);
+
+			article.title = 'changed';
+			return article.save();
+		}).then(function() {
+			return Q.ninvoke(db, 'get', 'a1');
+		}).spread(function(doc) {
+			doc.title.should.equal('changed');
+			doc.author.should.equal('alice');
+			doc.tags.should.deep.equal(['js', 'missing']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should populate the results of finders', function(done) {
+		articles.syncDesignDocs().then(function() {
+			return Q.all([
+				articles.findAll().populate('author'),
+				articles.findOneByID('a2').populate('author', 'tags'),
+				articles.findAll({ pageSize: 1 }).populate('author'),
+				articles.query().where('title', 'first').populate('tags')
+			]);
+		}).spread(function(all, one, page, found) {
+			all.map(function(e) {
+				return e.author.name;
+			}).should.deep.equal(['Alice', 'Bob']);
+			one.author.name.should.equal('Bob');
+			one.tags.should.deep.equal([]);
+			page.results[0].author.name.should.equal('Alice');
+			found.results[0].tags[0]._id.should.equal('js');
+			found.results[0].author.should.equal('alice');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should save assigned instances as IDs', function(done) {
+		var article = articles.create({ _id: 'a3', title: 'third', tags: [] });
+		var js = tags.create({ _id: 'js' });
+
+		authors.findOneByID('bob').then(function(bob) {
+			article.author = bob;
+			article.toVO().author.should.equal('bob');
+			return article.save();
+		}).then(function() {
+			return articles.create({ _id: 'a4', author: 'alice', tags: [js] }).
+				save();
+		}).then(function() {
+			return Q.all([
+				Q.ninvoke(db, 'get', 'a3'),
+				Q.ninvoke(db, 'get', 'a4')
+			]);
+		}).spread(function(a3, a4) {
+			a3[0].author.should.equal('bob');
+			a4[0].tags.should.deep.equal(['js']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should only populate reference fields', function(done) {
+		articles.findOneByID('a1').populate('title').then(function() {
+			throw new Error('title should not be populated');
+		}, function(error) {
+			error.message.should.match(/title/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
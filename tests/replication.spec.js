@@ -0,0 +1,112 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model replication conflicts
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model replication conflicts', function() {
+	var db = helper.db;
+	var model;
+
+	// write revisions as a replication does, without checking conflicts
+	function replicate(docs) {
+		return Q.ninvoke(db, 'bulk', { docs: docs, new_edits: false });
+	}
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, { type: 'contact' });
+
+		model.syncDesignDocs().then(function() {
+			return replicate([
+				{ _id: 'c1', _rev: '1-aaa', type: 'contact', phone: '1' },
+				{ _id: 'c1', _rev: '1-bbb', type: 'contact', phone: '2',
+					email: 'b@example.com' },
+				{ _id: 'c2', _rev: '1-aaa', type: 'contact', phone: '3' },
+				{ _id: 'o1', _rev: '1-aaa', type: 'other' },
+				{ _id: 'o1', _rev: '1-bbb', type: 'other' }
+			]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should find conflicted instances and their conflicts', function(done) {
+		model.findConflicted().then(function(instances) {
+			instances.length.should.equal(1);
+			instances[0]._id.should.equal('c1');
+			instances[0]._rev.should.equal('1-bbb');
+			should.not.exist(instances[0]._conflicts);
+
+			return instances[0].getConflicts();
+		}).then(function(conflicts) {
+			conflicts.length.should.equal(1);
+			conflicts[0]._rev.should.equal('1-aaa');
+			conflicts[0].phone.should.equal('1');
+
+			return model.findOneByID('c2');
+		}).then(function(instance) {
+			return instance.getConflicts();
+		}).then(function(conflicts) {
+			conflicts.should.deep.equal([]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should resolve conflicts', function(done) {
+		var saved = 0;
+		var instance;
+
+		model.addHook('beforeSave', function() {
+			saved++;
+		});
+
+		model.findOneByID('c1').then(function(result) {
+			instance = result;
+			instance.phone = 'unsaved';
+
+			return instance.resolveConflicts(function(winner, conflicts) {
+				winner._rev.should.equal('1-bbb');
+				conflicts[0].phone.should.equal('1');
+
+				winner.phone = conflicts[0].phone;
+				return Q(winner);
+			});
+		}).then(function() {
+			saved.should.equal(1);
+			instance.phone.should.equal('1');
+			instance.email.should.equal('b@example.com');
+			instance._rev.should.match(/^2-/);
+			instance.isDirty().should.equal(false);
+
+			return Q.ninvoke(db, 'get', 'c1', { conflicts: true });
+		}).spread(function(doc) {
+			should.not.exist(doc._conflicts);
+			doc.phone.should.equal('1');
+			doc._rev.should.equal(instance._rev);
+
+			return Q.all([model.findConflicted(), instance.resolveConflicts(
+				function() {
+				throw new Error('there should be no conflict to resolve');
+			})]);
+		}).spread(function(instances) {
+			instances.should.deep.equal([]);
+			saved.should.equal(1);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,99 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model revisions
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model revisions', function() {
+	var db = helper.db;
+	var model, instance, revs;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, { type: 'page' });
+		instance = model.create({ _id: 'page', title: 'first' });
+		revs = [];
+
+		instance.save().then(function() {
+			revs.push(instance._rev);
+			instance.title = 'second';
+			instance.extra = true;
+			return instance.save();
+		}).then(function() {
+			revs.push(instance._rev);
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should list the revisions', function(done) {
+		instance.getRevisions().then(function(revisions) {
+			revisions.should.deep.equal([
+				{ rev: revs[1], status: 'available' },
+				{ rev: revs[0], status: 'available' }
+			]);
+
+			(function() {
+				model.create().getRevisions(function() {});
+			}).should.throw(/not saved/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should find old revisions', function(done) {
+		Q.all([
+			model.findOneByID('page', { rev: revs[0] }),
+			model.findOneByID('page')
+		]).spread(function(old, latest) {
+			old.title.should.equal('first');
+			old._rev.should.equal(revs[0]);
+			should.not.exist(old.extra);
+			latest.title.should.equal('second');
+
+			return model.findOneByID('page', { rev: '1-missing' });
+		}).then(function() {
+			throw new Error('missing revisions should not be found');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should revert to old revisions', function(done) {
+		instance.title = 'unsaved';
+
+		instance.revertTo(revs[0]).then(function() {
+			instance.title.should.equal('first');
+			should.not.exist(instance.extra);
+			instance._rev.should.match(/^3-/);
+			instance.isDirty().should.equal(false);
+
+			return Q.ninvoke(db, 'get', 'page');
+		}).spread(function(doc) {
+			doc.title.should.equal('first');
+			doc.type.should.equal('page');
+			should.not.exist(doc.extra);
+
+			return instance.getRevisions();
+		}).then(function(revisions) {
+			revisions.length.should.equal(3);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,130 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model schemas
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model schema', function() {
+	var db = helper.db;
+	var schema = {
+		title: { type: String, required: true },
+		views: { type: Number, default: 0 },
+		published: Date,
+		tags: { type: [String], default: [] },
+		author: {
+			name: { type: String, required: true },
+			email: String
+		},
+		comments: [{
+			text: { type: String, required: true },
+			likes: { type: 'number', default: 0 }
+		}]
+	};
+
+	helper.useDatabase();
+
+	it('should throw on an invalid schema definition', function() {
+		(function() {
+			couchDBModel(db, { schema: { title: 'text' } });
+		}).should.throw(/title/);
+	});
+
+	it('should apply default values on create', function() {
+		var model = couchDBModel(db, { schema: schema });
+
+		var instance = model.create({
+			title: 'hello',
+			comments: [{ text: 'first' }]
+		});
+
+		instance.views.should.equal(0);
+		instance.tags.should.deep.equal([]);
+		instance.comments[0].likes.should.equal(0);
+		should.not.exist(instance.author);
+
+		// defaults must not be shared between instances
+		instance.tags.push('changed');
+		model.create({ title: 'other' }).tags.should.deep.equal([]);
+	});
+
+	it('should coerce values to the declared types', function() {
+		var model = couchDBModel(db, { schema: schema });
+
+		var instance = model.create({
+			title: 42,
+			views: '12',
+			published: '2014-03-24T05:22:31.000Z',
+			comments: [{ text: 'first', likes: '3' }]
+		});
+
+		instance.title.should.equal('42');
+		instance.views.should.equal(12);
+		instance.published.should.be.an.instanceof(Date);
+		instance.published.getTime().should.equal(
+			Date.parse('2014-03-24T05:22:31.000Z'));
+		instance.comments[0].likes.should.equal(3);
+	});
+
+	it('should refuse to save an invalid document', function(done) {
+		var model = couchDBModel(db, { schema: schema });
+
+		var instance = model.create({
+			_id: 'invalid',
+			views: 'many',
+			author: {},
+			comments: [{ likes: 1 }]
+		});
+
+		instance.save().then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.should.be.an.instanceof(couchDBModel.ValidationError);
+			error.errors.should.deep.equal([
+				{ field: 'title', message: 'is required', code: 'required' },
+				{ field: 'views', message: 'must be of type number',
+					code: 'type' },
+				{ field: 'author.name', message: 'is required',
+					code: 'required' },
+				{ field: 'comments.0.text', message: 'is required',
+					code: 'required' }
+			]);
+
+			return Q.ninvoke(db, 'get', 'invalid').then(function() {
+				throw new Error('document should not have been saved');
+			}, function(error) {
+				error.status_code.should.equal(404);
+			});
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should return typed instances from the database', function(done) {
+		var model = couchDBModel(db, { schema: schema });
+
+		var instance = model.create({
+			_id: 'typed',
+			title: 'hello',
+			published: new Date(0)
+		});
+
+		instance.save().then(function() {
+			return model.findOneByID('typed');
+		}).then(function(result) {
+			result.published.should.be.an.instanceof(Date);
+			result.published.getTime().should.equal(0);
+			result.toVO().should.deep.equal(instance.toVO());
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,146 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model serialization profiles
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model serialization', function() {
+	var db = helper.db;
+	var model;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, {
+			schema: {
+				first: String,
+				last: String,
+				passwordHash: { type: String, hidden: true },
+				auth: {
+					provider: String,
+					token: { type: String, hidden: true }
+				}
+			},
+			virtuals: {
+				fullName: {
+					get: function() {
+						return this.first + ' ' + this.last;
+					},
+					set: function(value) {
+						this.first = value.split(' ')[0];
+						this.last = value.split(' ')[1];
+					}
+				},
+				initials: function() {
+					return this.first[0] + this.last[0];
+				}
+			},
+			profiles: {
+				admin: { hidden: [] },
+				summary: { fields: ['_id', 'fullName'] }
+			},
+			restapi: {
+				byID: true,
+				save: true
+			}
+		});
+
+		model.create({
+			_id: 'jane',
+			fullName: 'Jane Doe',
+			passwordHash: 'secret',
+			auth: { provider: 'github', token: 'token' }
+		}).save().then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should serialize with profiles', function(done) {
+		model.findOneByID('jane').then(function(jane) {
+			var vo = jane.toVO();
+
+			jane.first.should.equal('Jane');
+			jane.initials.should.equal('JD');
+			vo.passwordHash.should.equal('secret');
+			should.not.exist(vo.fullName);
+
+			jane.toVO('public').should.deep.equal({
+				_id: 'jane',
+				_rev: jane._rev,
+				first: 'Jane',
+				last: 'Doe',
+				auth: { provider: 'github' },
+				fullName: 'Jane Doe',
+				initials: 'JD'
+			});
+			JSON.parse(JSON.stringify(jane)).should.deep.equal(
+				jane.toVO('public'));
+
+			jane.toVO('admin').passwordHash.should.equal('secret');
+			jane.toVO('admin').auth.token.should.equal('token');
+			jane.toVO('admin').fullName.should.equal('Jane Doe');
+			jane.toVO('summary').should.deep.equal({
+				_id: 'jane',
+				fullName: 'Jane Doe'
+			});
+
+			(function() {
+				jane.toVO('unknown');
+			}).should.throw(/unknown/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not send hidden fields to clients', function(done) {
+		helper.send(model, 'GET', '/jane').then(function(response) {
+			var body = JSON.parse(response._getData());
+
+			response.statusCode.should.equal(200);
+			should.not.exist(body.passwordHash);
+			should.not.exist(body.auth.token);
+			body.fullName.should.equal('Jane Doe');
+
+			// the client sends back what it got, and tries to set a hash
+			body.last = 'Smith';
+			body.passwordHash = 'forged';
+			body.fullName = 'Ignored Name';
+			delete body.initials;
+
+			return helper.send(model, 'PUT', '/', body);
+		}).then(function(response) {
+			response.statusCode.should.equal(200);
+
+			return Q.ninvoke(db, 'get', 'jane');
+		}).spread(function(doc) {
+			doc.first.should.equal('Ignored');
+			doc.last.should.equal('Name');
+			doc.passwordHash.should.equal('secret');
+			doc.auth.should.deep.equal({ provider: 'github', token: 'token' });
+			should.not.exist(doc.fullName);
+			should.not.exist(doc.initials);
+
+			return helper.send(model, 'POST', '/', { _id: 'john', 
+				passwordHash: 'forged' });
+		}).then(function(response) {
+			response.statusCode.should.equal(200);
+
+			return Q.ninvoke(db, 'get', 'john');
+		}).spread(function(doc) {
+			should.not.exist(doc.passwordHash);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
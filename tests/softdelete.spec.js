@@ -0,0 +1,298 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model soft delete
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model soft delete', function() {
+	var db = helper.db;
+	var model;
+
+	function ids(instances) {
+		return instances.map(function(e) {
+			return e._id;
+		});
+	}
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db, {
+			type: 'note',
+			softDelete: true,
+			views: [{
+				design: 'notes',
+				name: 'by_n',
+				map: function(doc) {
+					if (doc.type === 'note') emit(doc.n, doc);
+				}
+			}],
+			restapi: { views: { byN: true } }
+		});
+
+		Q.all([
+			model.syncDesignDocs(),
+			model.saveMany([1, 2, 3].map(function(n) {
+				return model.create({ _id: 'n' + n, n: n });
+			}))
+		]).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should mark deleted documents and hide them', function(done) {
+		var rev;
+
+		model.findOneByID('n1').then(function(instance) {
+			rev = instance._rev;
+			return instance.delete({ by: 'alice' }).then(function() {
+				instance._id.should.equal('n1');
+				instance._rev.should.not.equal(rev);
+				instance.deletedBy.should.equal('alice');
+				instance.isDirty().should.equal(false);
+
+				return Q.ninvoke(db, 'get', 'n1');
+			});
+		}).spread(function(doc) {
+			doc.deletedAt.should.be.a('string');
+			doc.deletedBy.should.equal('alice');
+
+			return Q.all([
+				model.findAll(),
+				model.findManyByN(null, {}),
+				model.findAll({ pageSize: 10 }),
+				model.findManyByN(null, { withDeleted: true }),
+				model.findOneByID('n1', { withDeleted: true })
+			]);
+		}).spread(function(all, view, page, withDeleted, one) {
+			ids(all).should.deep.equal(['n2', 'n3']);
+			ids(view).should.deep.equal(['n2', 'n3']);
+			ids(page.results).should.deep.equal(['n2', 'n3']);
+			ids(withDeleted).should.deep.equal(['n1', 'n2', 'n3']);
+			one.deletedBy.should.equal('alice');
+
+			return model.findOneByID('n1');
+		}).then(function() {
+			throw new Error('soft deleted documents should not be found');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should restore deleted documents', function(done) {
+		model.findOneByID('n2').then(function(instance) {
+			return instance.delete().then(function() {
+				return model.findDeleted();
+			}).then(function(deleted) {
+				ids(deleted).should.deep.equal(['n2']);
+				return instance.restore();
+			}).then(function() {
+				should.not.exist(instance.deletedAt);
+				return Q.all([model.findDeleted(), model.findOneByID('n2')]);
+			});
+		}).spread(function(deleted, restored) {
+			deleted.should.deep.equal([]);
+			should.not.exist(restored.deletedAt);
+			should.not.exist(restored.deletedBy);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should leave out deleted documents before the limit', function(done) {
+		var untyped = couchDBModel(db, { softDelete: true });
+
+		untyped.syncDesignDocs().then(function() {
+			return model.findOneByID('n1');
+		}).then(function(instance) {
+			return instance.delete();
+		}).then(function() {
+			return Q.all([
+				model.findOneByN(null, {}),
+				model.findManyByN(1, 3, 'asc', 1),
+				model.paginate('by_n', {}, { pageSize: 1 }),
+				model.findAll({ pageSize: 1 }),
+				model.findAll({ pageSize: 1, withDeleted: true }),
+				untyped.findAll(),
+				untyped.findDeleted()
+			]);
+		}).spread(function(one, many, page, all, withDeleted, live,
+			deleted) {
+			one._id.should.equal('n2');
+			ids(many).should.deep.equal(['n2']);
+			ids(page.results).should.deep.equal(['n2']);
+			page.total.should.equal(2);
+			ids(all.results).should.deep.equal(['n2']);
+			all.total.should.equal(2);
+			ids(withDeleted.results).should.deep.equal(['n1']);
+			withDeleted.total.should.equal(3);
+			ids(live).should.deep.equal(['n2', 'n3']);
+			ids(deleted).should.deep.equal(['n1']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should purge old deleted documents', function(done) {
+		model.findAll().then(function(instances) {
+			return model.deleteMany(instances);
+		}).then(function(results) {
+			results.forEach(function(e) {
+				e.ok.should.equal(true);
+				e.instance._id.should.equal(e.id);
+			});
+
+			// deleted two days ago
+			return Q.ninvoke(db, 'get', 'n1').spread(function(doc) {
+				doc.deletedAt = new Date(Date.now() - 2 * 86400000).
+					toISOString();
+				return Q.ninvoke(db, 'insert', doc);
+			});
+		}).then(function() {
+			return model.purgeDeleted(86400000);
+		}).then(function(results) {
+			ids(results.map(function(e) {
+				return e.instance;
+			})).should.deep.equal([null]);
+			results[0].id.should.equal('n1');
+
+			return model.findDeleted();
+		}).then(function(deleted) {
+			ids(deleted).should.deep.equal(['n2', 'n3']);
+
+			return model.purgeDeleted();
+		}).then(function() {
+			return Q.all([model.findDeleted(), Q.ninvoke(db, 'list')]);
+		}).spread(function(deleted, list) {
+			deleted.should.deep.equal([]);
+			list[0].rows.filter(function(e) {
+				return e.id.indexOf('_design/') !== 0;
+			}).should.deep.equal([]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should delete for good with the hard option', function(done) {
+		model.findOneByID('n3').then(function(instance) {
+			return instance.delete({ hard: true }).then(function() {
+				should.not.exist(instance._id);
+				return Q.ninvoke(db, 'get', 'n3');
+			});
+		}).then(function() {
+			throw new Error('the document should be deleted');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not find deleted documents with REST query options',
+		function(done) {
+		model.findOneByID('n1').then(function(instance) {
+			return instance.delete();
+		}).then(function() {
+			return Q.all([
+				helper.send(model, 'GET', '/by_n/?withDeleted=false'),
+				helper.send(model, 'GET', '/by_n/?withDeleted=true')
+			]);
+		}).spread(function(withoutDeleted, withDeleted) {
+			ids(JSON.parse(withoutDeleted._getData())).
+				should.deep.equal(['n2', 'n3']);
+			ids(JSON.parse(withDeleted._getData())).
+				should.deep.equal(['n2', 'n3']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should leave out deleted documents from registry views', 
+		function(done) {
+		var registry = new couchDBModel.Registry();
+		var path = '_design/notes/_view/by_n';
+
+		couchDBModel(db, { type: 'note', softDelete: true, 
+			registry: registry });
+
+		model.findOneByID('n1').then(function(instance) {
+			return instance.delete();
+		}).then(function() {
+			return Q.all([
+				registry.findManyByView(db, path, {}),
+				registry.findManyByView(db, path, { withDeleted: true })
+			]);
+		}).spread(function(live, all) {
+			ids(live).should.deep.equal(['n2', 'n3']);
+			ids(all).should.deep.equal(['n1', 'n2', 'n3']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should emit deleted events for deleted documents', function(done) {
+		var watcher, instance;
+		var events = [];
+		var deleted = Q.defer();
+		var restored = Q.defer();
+
+		model.findOneByID('n1').then(function(result) {
+			instance = result;
+			return instance.delete();
+		}).then(function() {
+			watcher = model.watch({ since: 0, timeout: 1000,
+				store: new couchDBModel.MemoryCheckpointStore() });
+
+			['created', 'updated', 'deleted'].forEach(function(event) {
+				watcher.on(event, function(instance) {
+					events.push([event, instance._id]);
+					if (events.length === 3) deleted.resolve();
+					if (events.length === 4) restored.resolve();
+				});
+			});
+
+			return deleted.promise;
+		}).then(function() {
+			events.sort().should.deep.equal([
+				['created', 'n2'],
+				['created', 'n3'],
+				['deleted', 'n1']
+			]);
+
+			return instance.restore();
+		}).then(function() {
+			return restored.promise;
+		}).then(function() {
+			events[3].should.deep.equal(['updated', 'n1']);
+		}).fin(function() {
+			return watcher && watcher.stop();
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
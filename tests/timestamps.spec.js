@@ -0,0 +1,158 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model timestamps
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model timestamps', function() {
+	var db = helper.db;
+
+	helper.useDatabase();
+
+	it('should stamp the first and the last save', function(done) {
+		var model = couchDBModel(db, { timestamps: true });
+		var instance = model.create({ _id: 'doc' });
+		var started = new Date().toISOString();
+		var first;
+
+		instance.save().then(function() {
+			first = instance.createdAt;
+			first.should.be.at.least(started);
+			instance.updatedAt.should.equal(first);
+
+			return Q.delay(10);
+		}).then(function() {
+			instance.value = 1;
+			return instance.save();
+		}).then(function() {
+			return Q.ninvoke(db, 'get', 'doc');
+		}).spread(function(doc) {
+			doc.createdAt.should.equal(first);
+			doc.updatedAt.should.be.above(first);
+			doc.updatedAt.should.equal(instance.updatedAt);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should stamp bulk saves with the configured fields', function(done) {
+		var model = couchDBModel(db, {
+			timestamps: {
+				createdAt: false,
+				updatedAt: 'modified',
+				format: 'ms'
+			}
+		});
+		var started = Date.now();
+
+		model.saveMany([
+			model.create({ _id: 'a' }),
+			model.create({ _id: 'b' })
+		]).then(function() {
+			return Q.ninvoke(db, 'fetch', { keys: ['a', 'b'] });
+		}).spread(function(body) {
+			body.rows.forEach(function(row) {
+				row.doc.modified.should.be.a('number');
+				row.doc.modified.should.be.at.least(started);
+				should.not.exist(row.doc.createdAt);
+			});
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not stamp instances which fail to save', function(done) {
+		var model = couchDBModel(db, {
+			timestamps: true,
+			validate: function(instance) {
+				if (instance.value < 0) return 'is negative';
+			}
+		});
+		var instance = model.create({ _id: 'doc', value: -1 });
+		var other = model.create({ _id: 'other', value: -1 });
+		var updated;
+
+		instance.save().then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.should.be.an.instanceof(couchDBModel.ValidationError);
+			instance.should.not.have.property('createdAt');
+			instance.should.not.have.property('updatedAt');
+
+			instance.value = 1;
+			return instance.save();
+		}).then(function() {
+			updated = instance.updatedAt;
+			instance.value = -1;
+
+			return model.saveMany([instance, other]);
+		}).then(function(results) {
+			results[0].ok.should.equal(false);
+			results[1].ok.should.equal(false);
+			instance.updatedAt.should.equal(updated);
+			other.should.not.have.property('createdAt');
+
+			// a conflict
+			instance.value = 2;
+			instance._rev = '1-0';
+			return instance.save();
+		}).then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.status_code.should.equal(409);
+			instance.updatedAt.should.equal(updated);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should stamp documents saved by the REST API', function(done) {
+		var model = couchDBModel(db, {
+			timestamps: true,
+			restapi: { save: true }
+		});
+		var created;
+
+		helper.send(model, 'POST', '/', {
+			_id: 'doc',
+			createdAt: 'forged'
+		}).then(function() {
+			return model.findOneByID('doc');
+		}).then(function(doc) {
+			created = doc.createdAt;
+			created.should.not.equal('forged');
+			doc.updatedAt.should.equal(created);
+
+			return helper.send(model, 'PUT', '/', { _id: 'doc', _rev: doc._rev,
+				value: 1 });
+		}).then(function(response) {
+			JSON.parse(response._getData()).ok.should.equal(true);
+			return model.findOneByID('doc');
+		}).then(function(doc) {
+			doc.value.should.equal(1);
+			doc.createdAt.should.equal(created);
+			doc.updatedAt.should.be.at.least(created);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should refuse unknown formats', function() {
+		(function() {
+			couchDBModel(db, { timestamps: { format: 'date' } });
+		}).should.throw(/format/);
+	});
+});
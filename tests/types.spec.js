@@ -0,0 +1,197 @@
+/* global describe, beforeEach, afterEach, it, emit */
+
+/**
+ * Unit tests for couchdb-model document types
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model document types', function() {
+	var db = helper.db;
+	var registry, articleModel, authorModel, dd;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		this.timeout(10000);
+
+		registry = new couchDBModel.Registry();
+
+		dd = {
+			_id: '_design/blog',
+			views: {
+				by_name: {
+					map: function(doc) {
+						emit(doc.name, doc);
+					}
+				}
+			}
+		};
+
+		articleModel = couchDBModel(db, {
+			type: 'article',
+			registry: registry,
+			views: ['_design/blog/_view/by_name']
+		});
+
+		authorModel = couchDBModel(db, {
+			type: 'author',
+			typeField: 'kind',
+			registry: registry
+		});
+
+		Q.all([
+			Q.ninvoke(db, 'insert', dd, dd._id),
+			articleModel.create({ _id: 'a1', name: 'one' }).save(),
+			articleModel.create({ _id: 'a2', name: 'two' }).save(),
+			authorModel.create({ _id: 'u1', name: 'one' }).save(),
+			Q.ninvoke(db, 'insert', { _id: 'x1', name: 'one' })
+		]).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should stamp the type on create and save', function(done) {
+		var article = articleModel.create({ _id: 'a3', type: 'other' });
+		article.type.should.equal('article');
+
+		article.type = 'other';
+		article.save().then(function() {
+			return Q.ninvoke(db, 'get', 'a3');
+		}).spread(function(doc) {
+			doc.type.should.equal('article');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should only find documents of its own type', function(done) {
+		// the models share the generated design document, so they are 
+		// synced one by one
+		articleModel.syncDesignDocs().then(function() {
+			return authorModel.syncDesignDocs();
+		}).then(function() {
+			return Q.all([
+				articleModel.findAll(),
+				authorModel.findAll()
+			]);
+		}).spread(function(articles, authors) {
+			articles.map(function(e) {
+				return e._id;
+			}).should.deep.equal(['a1', 'a2']);
+
+			authors.should.have.length(1);
+			authors[0]._id.should.equal('u1');
+			authors[0].kind.should.equal('author');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should leave out other types from view results', function(done) {
+		articleModel.findManyByName('one').then(function(result) {
+			result.should.have.length(1);
+			result[0]._id.should.equal('a1');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should fill limited queries when other types sort first',
+		function(done) {
+		authorModel.create({ _id: 'a0', name: 'one' }).save().then(function() {
+			return Q.all([
+				articleModel.findOneByName('one'),
+				articleModel.findManyByName('one', null, 'asc', 1),
+				articleModel.findManyByName(null, { startkey: 'one',
+					limit: 1, skip: 1 })
+			]);
+		}).spread(function(one, many, skipped) {
+			one._id.should.equal('a1');
+			many.should.have.length(1);
+			many[0]._id.should.equal('a1');
+			skipped.should.have.length(1);
+			skipped[0]._id.should.equal('a2');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should only map documents of its own type in its views',
+		function(done) {
+		var model = couchDBModel(db, {
+			type: 'article',
+			views: [{
+				design: 'articles',
+				name: 'by_title',
+				map: function(doc) {
+					emit(doc.name, null);
+				},
+				includeDocs: true
+			}]
+		});
+
+		model.syncDesignDocs().then(function() {
+			return Q.all([
+				model.findOneByTitle('one'),
+				model.findManyByTitle(null, { limit: 2 }),
+				Q.ninvoke(db, 'get', '_design/articles')
+			]);
+		}).spread(function(one, many, dd) {
+			one._id.should.equal('a1');
+			many.map(function(e) {
+				return e._id;
+			}).should.deep.equal(['a1', 'a2']);
+			dd[0].views.by_title.map.should.
+				contain('doc["type"] === "article"');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should refuse to load a document of another type', function(done) {
+		articleModel.findOneByID('u1').then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.should.be.an.instanceof(couchDBModel.TypeMismatchError);
+			error.status_code.should.equal(404);
+			error.expected.should.equal('article');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should hydrate a heterogeneous view result with the registry',
+		function(done) {
+		registry.findManyByView(db, '_design/blog/_view/by_name', {
+			key: 'one'
+		}).then(function(result) {
+			result.should.have.length(2);
+			result[0].should.be.an.instanceof(couchDBModel.Instance);
+			result[0]._model.should.equal(articleModel);
+			result[1]._model.should.equal(authorModel);
+			should.not.exist(registry.hydrate({ _id: 'x1' }));
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
@@ -0,0 +1,140 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model partial updates
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model partial updates', function() {
+	var db = helper.db;
+	var model, instance;
+
+	helper.useDatabase();
+
+	beforeEach(function(done) {
+		model = couchDBModel(db);
+
+		instance = model.create({
+			_id: 'doc',
+			title: 'title',
+			views: 0,
+			author: { name: 'someone', email: 'someone@example.com' },
+			tags: ['one', 'two']
+		});
+
+		instance.save().then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should apply a shallow patch', function(done) {
+		model.updateByID('doc', {
+			title: 'new title',
+			author: { name: 'someone else' },
+			tags: ['three'],
+			views: undefined
+		}).then(function(result) {
+			result._rev.should.not.equal(instance._rev);
+			return model.findOneByID('doc');
+		}).then(function(result) {
+			result.title.should.equal('new title');
+			result.author.should.deep.equal({ name: 'someone else' });
+			result.tags.should.deep.equal(['three']);
+			result.should.not.have.property('views');
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should apply a deep patch', function(done) {
+		model.updateByID('doc', {
+			author: { name: 'someone else' },
+			tags: ['three']
+		}, { deep: true }).then(function(result) {
+			result.author.should.deep.equal({
+				name: 'someone else',
+				email: 'someone@example.com'
+			});
+			result.tags.should.deep.equal(['three']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should retry an updater function on conflict', function(done) {
+		var calls = 0;
+
+		model.updateByID('doc', function(doc) {
+			calls++;
+
+			if (calls === 1) {
+				// someone else increments it in the meantime
+				return model.findOneByID('doc').then(function(other) {
+					other.views++;
+					return other.save();
+				}).then(function() {
+					doc.views++;
+				});
+			}
+
+			doc.views++;
+		}).then(function(result) {
+			calls.should.equal(2);
+			result.views.should.equal(2);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should update an instance in place', function(done) {
+		instance.title = 'unsaved title';
+
+		instance.update({ views: 10 }).then(function() {
+			instance.views.should.equal(10);
+			instance.title.should.equal('title');
+			return model.findOneByID('doc');
+		}).then(function(result) {
+			result._rev.should.equal(instance._rev);
+			result.toVO().should.deep.equal(instance.toVO());
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should update with an update handler', function(done) {
+		Q.ninvoke(db, 'insert', {
+			_id: '_design/article',
+			updates: {
+				set_title: function(doc, req) {
+					doc.title = JSON.parse(req.body).title;
+					return [doc, 'updated'];
+				}.toString()
+			}
+		}).then(function() {
+			return instance.update({ title: 'from handler' }, {
+				handler: '_design/article/_update/set_title'
+			});
+		}).then(function() {
+			instance.title.should.equal('from handler');
+			instance._rev.should.match(/^2-/);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});
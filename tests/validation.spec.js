@@ -0,0 +1,189 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model custom validators
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model validation', function() {
+	var db = helper.db;
+
+	helper.useDatabase();
+
+	function createModel() {
+		return couchDBModel(db, {
+			schema: {
+				username: { type: String, required: true },
+				password: String,
+				password2: String
+			},
+			validators: {
+				username: [
+					function(value) {
+						return value.length >= 3 || 'is too short';
+					},
+					function(value) {
+						// simulate a lookup in the database
+						return Q.delay(10).then(function() {
+							if (value === 'admin') {
+								return { message: 'is taken', code: 'unique' };
+							}
+						});
+					}
+				]
+			},
+			validate: function(instance) {
+				if (instance.password !== instance.password2) {
+					return {
+						field: 'password2',
+						message: 'does not match',
+						code: 'match'
+					};
+				}
+			}
+		});
+	}
+
+	it('should resolve validate() for a valid instance', function(done) {
+		var model = createModel();
+		var user = model.create({
+			username: 'someone',
+			password: 'pw',
+			password2: 'pw'
+		});
+
+		user.validate().then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should aggregate field and document level errors', function(done) {
+		var model = createModel();
+		var user = model.create({
+			username: 'ad',
+			password: 'pw',
+			password2: 'wp'
+		});
+
+		model.addValidator(function() {
+			return false;
+		});
+
+		user.validate(function(error) {
+			try {
+				error.should.be.an.instanceof(couchDBModel.ValidationError);
+				error.errors.should.deep.equal([
+					{ field: 'username', message: 'is too short',
+						code: 'invalid' },
+					{ field: 'password2', message: 'does not match',
+						code: 'match' },
+					{ field: null, message: 'is invalid', code: 'invalid' }
+				]);
+			} catch (e) {
+				return done(e);
+			}
+
+			done();
+		});
+	});
+
+	it('should accept null as a valid result', function(done) {
+		var model = createModel();
+
+		model.addValidator('username', function() {
+			return null;
+		});
+		model.addValidator(function() {
+			return Q([null, true]);
+		});
+
+		model.create({ username: 'someone' }).validate().then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not call field validators on fields failing the schema',
+		function(done) {
+		var model = createModel();
+
+		model.create({ username: 42 }).validate().then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			// username is coerced to a string, so it's too short
+			error.errors.should.deep.equal([{
+				field: 'username',
+				message: 'is too short',
+				code: 'invalid'
+			}]);
+
+			return model.create({}).validate();
+		}).then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.errors.should.deep.equal([{
+				field: 'username',
+				message: 'is required',
+				code: 'required'
+			}]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should not save an instance failing a promise validator',
+		function(done) {
+		var model = createModel();
+		var user = model.create({ _id: 'admin', username: 'admin' });
+
+		user.save().then(function() {
+			throw new Error('success branch should not have been called');
+		}, function(error) {
+			error.should.be.an.instanceof(couchDBModel.ValidationError);
+			error.errors.should.deep.equal([{
+				field: 'username',
+				message: 'is taken',
+				code: 'unique'
+			}]);
+			should.not.exist(user._rev);
+
+			return model.findOneByID('admin');
+		}).then(function() {
+			throw new Error('document should not have been saved');
+		}, function(error) {
+			error.status_code.should.equal(404);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should pass other errors of validators through', function(done) {
+		var model = createModel();
+
+		model.addValidator('username', function() {
+			throw new Error('lookup failed');
+		});
+
+		model.create({ username: 'someone' }).save(function(error) {
+			try {
+				error.should.not.be.an.instanceof(couchDBModel.ValidationError);
+				error.message.should.equal('lookup failed');
+			} catch (e) {
+				return done(e);
+			}
+
+			done();
+		});
+	});
+});
@@ -0,0 +1,193 @@
+/* global describe, beforeEach, afterEach, it */
+
+/**
+ * Unit tests for couchdb-model changes feed subscriptions
+ */
+
+var should = require('chai').should();
+var couchDBModel = require('../lib/couchdb-model.js');
+var helper = require('./helper.js');
+var Q = require('q');
+
+describe('couchdb-model watch', function() {
+	var db = helper.db;
+	var model, store, watcher, watchers;
+
+	// collect events of a watcher until `count` of them are emitted
+	function collect(watcher, count) {
+		var deferred = Q.defer();
+		var events = [];
+
+		['created', 'updated', 'deleted'].forEach(function(event) {
+			watcher.on(event, function(instance, change) {
+				events.push([event, instance._id, instance.value]);
+				change.id.should.equal(instance._id);
+				if (events.length === count) deferred.resolve(events);
+			});
+		});
+
+		return deferred.promise;
+	}
+
+	// start a watcher of the model, it's stopped after the test
+	function watch(options) {
+		var watcher = model.watch(options);
+
+		watchers.push(watcher);
+		return watcher;
+	}
+
+	// registered first, so the watchers are stopped before the database is
+	// destroyed
+	afterEach(function(done) {
+		Q.all(watchers.map(function(e) {
+			return e.stop();
+		})).then(function() {
+			done();
+		});
+	});
+
+	helper.useDatabase();
+
+	beforeEach(function() {
+		model = couchDBModel(db, { type: 'item' });
+		store = new couchDBModel.MemoryCheckpointStore();
+		watcher = null;
+		watchers = [];
+	});
+
+	it('should emit created, updated and deleted events', function(done) {
+		var instance = model.create({ _id: 'i1', value: 1 });
+
+		watcher = watch({ since: 0, store: store, timeout: 1000 });
+
+		var events = collect(watcher, 3);
+
+		instance.save().then(function() {
+			return Q.ninvoke(db, 'insert', { _id: 'other', value: 0 });
+		}).then(function() {
+			instance.value = 2;
+			return instance.save();
+		}).then(function() {
+			return instance.delete();
+		}).then(function() {
+			return events;
+		}).then(function(events) {
+			events.should.deep.equal([
+				['created', 'i1', 1],
+				['updated', 'i1', 2],
+				['deleted', 'i1', undefined]
+			]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should continue from the last checkpoint', function(done) {
+		var checkpoint = Q.defer();
+
+		model.create({ _id: 'i1', value: 1 }).save().then(function() {
+			watcher = watch({ since: 0, store: store, name: 'items' });
+			watcher.on('checkpoint', checkpoint.resolve);
+
+			return collect(watcher, 1);
+		}).then(function(events) {
+			events.should.deep.equal([['created', 'i1', 1]]);
+			return checkpoint.promise;
+		}).then(function(seq) {
+			store.get('items').should.equal(seq);
+			return watcher.stop();
+		}).then(function() {
+			return model.create({ _id: 'i2', value: 2 }).save();
+		}).then(function() {
+			watcher = watch({ store: store, name: 'items' });
+			return collect(watcher, 1);
+		}).then(function(events) {
+			events.should.deep.equal([['created', 'i2', 2]]);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should retry failed requests', function(done) {
+		var flaky = Object.create(db);
+		var failures = 0;
+		var errors = [];
+
+		flaky.changes = function(params, callback) {
+			if (failures++ < 2) {
+				return callback(new Error('connection lost'));
+			}
+
+			return db.changes(params, callback);
+		};
+
+		model = couchDBModel(flaky, { type: 'item' });
+
+		model.create({ _id: 'i1', value: 1 }).save().then(function() {
+			watcher = watch({ since: 0, store: store, retryDelay: 10 });
+			watcher.on('error', function(error) {
+				errors.push(error.message);
+			});
+
+			return collect(watcher, 1);
+		}).then(function(events) {
+			events.should.deep.equal([['created', 'i1', 1]]);
+			errors.should.deep.equal(['connection lost', 'connection lost']);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should stop without waiting for the pending request', function(done) {
+		var stopped = false;
+		var started = Date.now();
+
+		watcher = watch({ store: store, timeout: 30000 });
+		watcher.on('stop', function() {
+			stopped = true;
+		});
+
+		Q.delay(200).then(function() {
+			return watcher.stop();
+		}).then(function() {
+			stopped.should.equal(true);
+			(Date.now() - started).should.be.below(5000);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+
+	it('should stop without waiting for the next retry', function(done) {
+		var failing = Object.create(db);
+		var failed = Q.defer();
+		var started = Date.now();
+
+		failing.changes = function(params, callback) {
+			callback(new Error('connection lost'));
+		};
+
+		model = couchDBModel(failing, { type: 'item' });
+		watcher = watch({ since: 0, store: store, retryDelay: 30000 });
+		watcher.on('error', failed.resolve);
+
+		failed.promise.then(function() {
+			return watcher.stop();
+		}).then(function() {
+			should.not.exist(watcher._timer);
+			(Date.now() - started).should.be.below(5000);
+		}).then(function() {
+			done();
+		}, function(error) {
+			done(error);
+		});
+	});
+});